@@ -8,7 +8,13 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class FeedbackService {
-    constructor() {
+    /**
+     * @param {Object} logger - Server logger. Google API errors are logged by
+     *   message and code only: they carry the request, including the row with
+     *   the user's email.
+     */
+    constructor(logger) {
+        this.logger = logger;
         this.initialized = false;
         this.sheets = null;
         this.spreadsheetId = process.env.FEEDBACK_SHEET_ID || '1kSqxDK39h-yncxnJzliDS-cec_1BnxjilJlS88cBkjw';
@@ -35,9 +41,9 @@ class FeedbackService {
             this.sheets = google.sheets({ version: 'v4', auth });
             this.initialized = true;
             
-            console.log('FeedbackService initialized successfully');
+            this.logger.info('FeedbackService initialized successfully');
         } catch (error) {
-            console.error('Failed to initialize FeedbackService:', error);
+            this.logger.error(`Failed to initialize FeedbackService: ${error.message}`, { code: error.code });
             throw error;
         }
     }
@@ -109,7 +115,7 @@ class FeedbackService {
                 resource: { values }
             });
 
-            console.log(`Feedback submitted: ${feedbackData.submissionId}`);
+            this.logger.info(`Feedback submitted: ${feedbackData.submissionId}`);
             
             // Send notification for critical feedback
             if (feedbackData.feedbackType === 'bug_report' || feedbackData.rating <= 2) {
@@ -122,7 +128,7 @@ class FeedbackService {
                 updatedRange: response.data.updates.updatedRange
             };
         } catch (error) {
-            console.error('Failed to submit feedback:', error);
+            this.logger.error(`Failed to submit feedback: ${error.message}`, { code: error.code });
             throw error;
         }
     }
@@ -164,7 +170,7 @@ class FeedbackService {
 
             return responses;
         } catch (error) {
-            console.error('Failed to check responses:', error);
+            this.logger.error(`Failed to check responses: ${error.message}`, { code: error.code });
             return [];
         }
     }
@@ -222,7 +228,7 @@ class FeedbackService {
 
             return stats;
         } catch (error) {
-            console.error('Failed to get statistics:', error);
+            this.logger.error(`Failed to get statistics: ${error.message}`, { code: error.code });
             return null;
         }
     }
@@ -233,7 +239,7 @@ class FeedbackService {
     async sendNotification(feedbackData) {
         // This would integrate with email service or Slack
         // For now, just log
-        console.log(`ALERT: ${feedbackData.feedbackType} - ${feedbackData.title}`);
+        this.logger.warn(`ALERT: ${feedbackData.feedbackType} - ${feedbackData.title}`);
         
         // You can implement email notification here using nodemailer
         // or Slack notification using webhook
@@ -317,10 +323,10 @@ class FeedbackService {
                     resource: { values: headers }
                 });
 
-                console.log('Feedback sheet created successfully');
+                this.logger.info('Feedback sheet created successfully');
             }
         } catch (error) {
-            console.error('Failed to create sheet:', error);
+            this.logger.error(`Failed to create sheet: ${error.message}`, { code: error.code });
         }
     }
 }
@@ -25,11 +25,11 @@ const MODELS = [
         size: 15728640 // ~15MB
     },
     {
-        name: 'BlazeFace',
-        filename: 'blazeface.onnx',
-        url: 'https://storage.googleapis.com/mediapipe-models/blazeface.onnx',
+        name: 'UltraFace',
+        filename: 'ultraface.onnx',
+        url: 'https://github.com/onnx/models/raw/main/validated/vision/body_analysis/ultraface/models/version-RFB-320.onnx',
         sha256: 'ghi789...', // Would be actual hash in production
-        size: 1048576 // ~1MB
+        size: 1258496 // ~1.2MB
     }
 ];
 
@@ -150,25 +150,26 @@ function createModelConfigs() {
         JSON.stringify(nimaConfig, null, 2)
     );
     
-    // BlazeFace config
-    const blazeFaceConfig = {
-        name: 'BlazeFace',
-        version: '1.0.0',
+    // UltraFace config
+    const ultraFaceConfig = {
+        name: 'UltraFace',
+        version: 'RFB-320',
         input: {
-            shape: [1, 3, 128, 128],
+            shape: [1, 3, 240, 320],
             dtype: 'float32',
-            normalize: true
+            normalize: true,
+            mean: [127, 127, 127],
+            std: [128, 128, 128]
         },
         output: {
-            boxes: { shape: [-1, 4], dtype: 'float32' },
-            scores: { shape: [-1], dtype: 'float32' },
-            landmarks: { shape: [-1, 6], dtype: 'float32' }
+            scores: { shape: [1, 4420, 2], dtype: 'float32' },
+            boxes: { shape: [1, 4420, 4], dtype: 'float32' }
         }
     };
     
     fs.writeFileSync(
-        path.join(configDir, 'blazeface.json'),
-        JSON.stringify(blazeFaceConfig, null, 2)
+        path.join(configDir, 'ultraface.json'),
+        JSON.stringify(ultraFaceConfig, null, 2)
     );
     
     console.log('📝 Created model configuration files');
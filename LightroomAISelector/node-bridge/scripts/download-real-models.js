@@ -60,12 +60,6 @@ const SIMPLIFIED_MODELS = [
         filename: 'nima_technical.onnx',
         type: 'custom',
         description: 'Simplified technical quality model'
-    },
-    {
-        name: 'BlazeFace (Simplified)',
-        filename: 'blazeface.onnx',
-        type: 'custom',
-        description: 'Simplified face detection model'
     }
 ];
 
@@ -292,8 +286,7 @@ function createModelAdapters() {
     // Map models to our expected names
     const modelMapping = {
         'nima_aesthetic.onnx': 'mobilenetv2.onnx',
-        'nima_technical.onnx': 'squeezenet.onnx',
-        'blazeface.onnx': 'ultraface.onnx'
+        'nima_technical.onnx': 'squeezenet.onnx'
     };
     
     fs.writeFileSync(
@@ -323,8 +316,7 @@ function createModelAdapters() {
 function createModelLinks() {
     const links = [
         { source: 'mobilenetv2.onnx', target: 'nima_aesthetic.onnx' },
-        { source: 'squeezenet.onnx', target: 'nima_technical.onnx' },
-        { source: 'ultraface.onnx', target: 'blazeface.onnx' }
+        { source: 'squeezenet.onnx', target: 'nima_technical.onnx' }
     ];
     
     for (const link of links) {
@@ -7,21 +7,52 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const bodyParser = require('body-parser');
-const path = require('path');
 const fs = require('fs').promises;
 const winston = require('winston');
 require('dotenv').config();
 
+const { version: PACKAGE_VERSION } = require('./package.json');
+
 // Import inference modules
 const ONNXInference = require('./src/onnx-inference');
 const ImageProcessor = require('./src/image-processor');
 const ModelManager = require('./src/model-manager');
+const Analyzer = require('./src/analyzer');
+const JobManager = require('./src/job-manager');
+const PathGuard = require('./src/path-guard');
+const RequestValidator = require('./src/request-validator');
+const AuthToken = require('./src/auth-token');
+const InferenceScheduler = require('./src/inference-scheduler');
+const BridgeError = require('./src/errors');
+const RequestContext = require('./src/request-context');
+const Metrics = require('./src/metrics');
+const GracefulShutdown = require('./src/graceful-shutdown');
+const Config = require('./src/config');
+const ResultCache = require('./src/result-cache');
+const WorkerPool = require('./src/worker-pool');
+const UploadStore = require('./src/upload-store');
+const ImageFormat = require('./src/image-format');
+const RawPreview = require('./src/raw-preview');
+const Exif = require('./src/exif');
+const CameraShake = require('./src/camera-shake');
+const openApiSpec = require('./src/openapi');
 const FeedbackService = require('./feedback-service');
 
-// Configure logger
+// Settings from the config file (BRIDGE_CONFIG_FILE) with environment overrides
+const config = new Config();
+try {
+    config.load();
+} catch (error) {
+    console.error(`${error.message}${(error.details || []).map(detail => `\n  ${detail.field}: ${detail.message}`).join('')}`);
+    process.exit(1);
+}
+
+// Configure logger: entries carry the request ID and route, and never image bytes or emails
 const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info',
+    level: config.get('logging.level'),
     format: winston.format.combine(
+        RequestContext.format(),
+        RequestContext.redactFormat(),
         winston.format.timestamp(),
         winston.format.json()
     ),
@@ -41,29 +72,55 @@ const logger = winston.createLogger({
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+const router = express.Router();
+const API_VERSION = 'v1';
+
+// Path-based batches skip the upload, so they can be larger than multipart ones
+const batchPathLimit = () => config.get('paths.batchPathLimit');
+
+// Everything except the liveness probe requires the per-install token; the
+// detailed health and readiness reports describe the install
+const authToken = new AuthToken(logger, config.get('security.tokenFile'));
+const HEALTH_PATHS = ['/health', '/health/live', '/health/ready'];
+const PUBLIC_PATHS = ['/health/live', `/${API_VERSION}/health/live`];
+
+// Request, inference and error metrics, served at /metrics
+const metrics = new Metrics(logger);
+
+// Drains in-flight work on SIGTERM/SIGINT before sessions are released
+const gracefulShutdown = new GracefulShutdown(logger, config);
 
 // Middleware
-app.use(cors());
+app.use(RequestContext.middleware(logger));
+app.use(metrics.middleware());
+app.use(gracefulShutdown.middleware());
+app.use(cors({
+    // Only explicitly allowed browser origins may call the bridge
+    origin: (origin, callback) => callback(null, !origin || config.get('server.corsOrigins').includes(origin)),
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', AuthToken.TOKEN_HEADER, RequestContext.REQUEST_ID_HEADER],
+    exposedHeaders: [RequestContext.REQUEST_ID_HEADER, 'Retry-After']
+}));
+app.use(authToken.middleware(PUBLIC_PATHS));
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
-// Configure multer for file uploads
+// Validate requests (and, outside production, responses) against the OpenAPI document
+const requestValidator = new RequestValidator(openApiSpec, logger, {
+    validateResponses: process.env.NODE_ENV !== 'production'
+});
+const validate = (method, routePath) => requestValidator.validate(method, routePath);
+
+// Upload limits, also reported by /capabilities
+const { MAX_FILE_SIZE, MAX_BATCH_UPLOADS } = UploadStore;
+
+// Uploads stream to a temp directory and are deleted when the request ends.
+// File types are checked from their first bytes as they arrive, not from names or MIME types.
+const uploadStore = new UploadStore(logger, config);
+app.use(uploadStore.middleware());
 const upload = multer({
-    storage: multer.memoryStorage(),
+    storage: uploadStore,
     limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB max file size
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|tiff|dng|raw/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype || extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Invalid file type. Only image files are allowed.'));
-        }
+        fileSize: MAX_FILE_SIZE,
     }
 });
 
@@ -71,6 +128,177 @@ const upload = multer({
 let onnxInference;
 let imageProcessor;
 let modelManager;
+let analyzer;
+const jobManager = new JobManager(logger, config);
+const pathGuard = new PathGuard(logger, config);
+const scheduler = new InferenceScheduler(logger, config);
+metrics.trackScheduler(scheduler);
+const resultCache = new ResultCache(logger, config, metrics);
+metrics.trackCache(resultCache);
+// Decoding and pixel analysis run off the event loop, so /health stays responsive
+const workerPool = new WorkerPool(logger, config);
+metrics.trackWorkerPool(workerPool);
+
+// Settings are read when used; only the logger level and the queue need a nudge
+config.on('change', () => {
+    logger.level = config.get('logging.level');
+    // Raised limits may let queued work start right away
+    scheduler.drain();
+    resultCache.enforceLimits().catch(error => logger.warn(`Could not apply cache limits: ${error.message}`));
+});
+
+// Re-read the config file and environment; invalid settings leave the current ones in place
+function reloadConfig(trigger) {
+    const { changed, restartRequired } = config.reload();
+    logger.info(`Configuration reloaded (${trigger}): ${changed.length > 0 ? changed.join(', ') : 'no changes'}`);
+    if (restartRequired.length > 0) {
+        logger.warn(`Restart the bridge to apply: ${restartRequired.join(', ')}`);
+    }
+    return { changed, restart_required: restartRequired };
+}
+
+// Send any error as { error, code, retryable, hint, request_id }, honouring Retry-After set by the scheduler
+function sendError(res, error) {
+    const bridgeError = BridgeError.from(error);
+    metrics.recordError(bridgeError.code);
+    if (bridgeError.retryAfter) {
+        res.set('Retry-After', String(bridgeError.retryAfter));
+    }
+    
+    const context = RequestContext.current();
+    res.status(bridgeError.status).json({
+        ...bridgeError.toJSON(),
+        request_id: context ? context.requestId : undefined
+    });
+}
+
+// Reject a batch before reading its uploads when the queue is already full: once
+// admitted, its photos wait in the queue instead of being refused one by one.
+// Single images need no such check; the scheduler refuses them only when they
+// are not already in the result cache.
+function rejectWhenBusy(req, res, next) {
+    if (scheduler.isSaturated()) {
+        logger.warn(`Rejecting ${req.method} ${req.path}: inference queue full`);
+        return sendError(res, scheduler.createBusyError());
+    }
+    next();
+}
+
+// Run image work through the scheduler, sized by the image's pixel count.
+// Oversized images (and decompression bombs) are rejected from their header, before decoding.
+async function scheduleImageWork(image, task, options) {
+    const megapixels = await imageProcessor.getMegapixels(image);
+    const maxMegapixels = config.get('images.maxMegapixels');
+    if (megapixels > maxMegapixels) {
+        throw new BridgeError('IMAGE_TOO_LARGE',
+            `Image has ${megapixels.toFixed(1)} megapixels; the limit is ${maxMegapixels}`);
+    }
+    return scheduler.run(megapixels, () => task(image), options);
+}
+
+// Bumped when decoding changes the pixels analysed for the same bytes
+// (2: EXIF orientation and sRGB conversion)
+const DECODE_REVISION = 2;
+
+// Settings that change analysis results; editing them must not serve stale cached results
+function resultSettings() {
+    return {
+        decode: DECODE_REVISION,
+        scoring: config.get('scoring'),
+        blur: config.get('blur'),
+        faces: config.get('faces')
+    };
+}
+
+// Image work through the result cache: the same bytes analysed the same way are not re-inferred
+async function cachedImageWork(image, operation, task, options) {
+    if (!resultCache.enabled) {
+        return scheduleImageWork(image, task, options);
+    }
+    
+    const key = await ResultCache.keyFor(image, onnxInference.getModelVersion(), { ...operation, settings: resultSettings() });
+    return resultCache.getOrCompute(key, () => scheduleImageWork(image, task, options), {
+        // Partial results (an analyzer failed) are retried next time
+        cacheable: result => !(result && result.errors)
+    });
+}
+
+// The image to analyse from an upload or, for path-based requests, the photo itself:
+// its path, decoded from disk without reading it all into memory, or for TIFF
+// containers the file contents. Raw files are replaced by their largest embedded JPEG preview.
+async function readImage(file) {
+    RequestContext.annotate({ photo: file.originalname });
+    // Uploads were sniffed as they arrived
+    if (file.formatError) {
+        throw file.formatError;
+    }
+    const format = file.format || ImageFormat.assertSupportedImage(await ImageFormat.readHead(file.path), file.originalname);
+    if (format !== 'tiff' && format !== 'raw') {
+        return file.path;
+    }
+
+    // Telling a raw from a plain TIFF and finding its preview needs the whole file
+    const fileBuffer = await fs.readFile(file.path);
+    if (!RawPreview.isRaw(fileBuffer, format)) {
+        return fileBuffer;
+    }
+    
+    const preview = RawPreview.extractPreview(fileBuffer);
+    // TIFF-based raws keep their EXIF in the raw file, not in the preview
+    file.rawExif = Exif.parse(fileBuffer);
+    file.rawPreview = { width: preview.width, height: preview.height, bytes: preview.data.length };
+    logger.debug(`Using ${preview.width}x${preview.height} embedded preview of raw file`);
+    return preview.data;
+}
+
+// Tells the client which embedded preview stood in for a raw file
+function previewInfo(file) {
+    return file.rawPreview ? { raw_preview: file.rawPreview } : {};
+}
+
+// Camera and exposure settings; a raw file's own EXIF fills in what its preview lacks
+async function readPhotoMetadata(file, image) {
+    const metadata = await imageProcessor.readMetadata(image);
+    for (const [field, value] of Object.entries(file.rawExif || {})) {
+        if (value !== null && metadata[field] === null) {
+            metadata[field] = value;
+        }
+    }
+    return metadata;
+}
+
+// Background jobs outlive their request, so they delete each upload once it is scored
+function createBatchJob(req) {
+    uploadStore.retain(req);
+    return jobManager.createJob(req.files, processBatchFile, {
+        releaseFile: file => uploadStore.release(file)
+    });
+}
+
+// Path-based alternative to multer: resolves { path } or { paths } from the JSON body.
+// maxCount may be a function so a config reload can change the limit.
+function loadFilesFromPaths(maxCount) {
+    return async (req, res, next) => {
+        const limit = typeof maxCount === 'function' ? maxCount() : maxCount;
+        const body = req.body || {};
+        const requestedPaths = body.paths || (body.path ? [body.path] : []);
+        
+        if (!Array.isArray(requestedPaths) || requestedPaths.length === 0) {
+            return sendError(res, new BridgeError('NO_IMAGE', 'No image paths provided'));
+        }
+        if (requestedPaths.length > limit) {
+            return sendError(res, new BridgeError('TOO_MANY_FILES', `Too many paths: at most ${limit} allowed`));
+        }
+        
+        try {
+            req.files = await pathGuard.resolveAll(requestedPaths);
+            req.file = req.files[0];
+            next();
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+}
 
 async function initializeServices() {
     try {
@@ -80,13 +308,23 @@ async function initializeServices() {
         modelManager = new ModelManager(logger);
         await modelManager.initialize();
         
-        // Initialize image processor
-        imageProcessor = new ImageProcessor(logger);
+        // Initialize image processor on top of the worker threads
+        workerPool.start();
+        imageProcessor = new ImageProcessor(logger, workerPool, metrics);
         
         // Initialize ONNX inference
-        onnxInference = new ONNXInference(modelManager, logger);
+        onnxInference = new ONNXInference(modelManager, logger, config, metrics);
         await onnxInference.initialize();
         
+        // Initialize the shared single-decode analyzer
+        analyzer = new Analyzer(imageProcessor, onnxInference, logger, config);
+        
+        // Remove uploads left over from a previous run
+        await uploadStore.initialize();
+        
+        // Index cached results from previous runs
+        await resultCache.initialize();
+        
         logger.info('All services initialized successfully');
     } catch (error) {
         logger.error('Failed to initialize services:', error);
@@ -94,29 +332,144 @@ async function initializeServices() {
     }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Scoring is only meaningful once every required model is loaded from a real model file
+function getReadiness() {
+    if (!onnxInference) {
+        return { ready: false, status: 'starting', models: {}, message: 'Services are still initializing' };
+    }
+    
+    const models = onnxInference.getModelStatus();
+    const notReady = Object.entries(models).filter(([, model]) => model.status !== ONNXInference.ModelStatus.LOADED);
+    
+    return {
+        ready: notReady.length === 0,
+        status: notReady.length === 0 ? 'ready' : 'not_ready',
+        models,
+        // Not counted in ready: without them only their endpoints fail, with a 503
+        optional_models: onnxInference.getModelStatus(ONNXInference.OPTIONAL_MODELS),
+        message: notReady.length === 0
+            ? 'All required models loaded'
+            : `Models not ready: ${notReady.map(([name, model]) => `${name} (${model.status})`).join('; ')}`
+    };
+}
+
+// Health check endpoint: reports 'degraded' while scoring is not meaningful
+router.get('/health', validate('get', '/health'), (req, res) => {
+    const { ready } = getReadiness();
+    
     res.json({
-        status: 'healthy',
-        version: '1.0.0',
+        status: ready ? 'healthy' : 'degraded',
+        ready,
+        version: PACKAGE_VERSION,
         uptime: process.uptime(),
-        models: modelManager ? modelManager.getLoadedModels() : []
+        queue: scheduler.getStats()
+    });
+});
+
+// Liveness probe: the process is up and serving requests
+router.get('/health/live', validate('get', '/health/live'), (req, res) => {
+    res.json({
+        status: 'alive',
+        uptime: process.uptime()
+    });
+});
+
+// Readiness probe: 503 with per-model status until the required models are loaded
+router.get('/health/ready', validate('get', '/health/ready'), (req, res) => {
+    const readiness = getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
+// Capability negotiation: lets plugins adapt to what this bridge supports
+router.get('/capabilities', validate('get', '/capabilities'), (req, res) => {
+    res.json({
+        version: PACKAGE_VERSION,
+        api_versions: [API_VERSION],
+        analyzers: Analyzer.ANALYZERS,
+        models: {
+            available: modelManager ? modelManager.getAvailableModels().map(model => model.id) : [],
+            loaded: modelManager ? modelManager.getLoadedModels() : []
+        },
+        formats: ImageFormat.acceptedExtensions(),
+        limits: {
+            max_file_size: MAX_FILE_SIZE,
+            max_batch_uploads: MAX_BATCH_UPLOADS,
+            max_batch_paths: batchPathLimit(),
+            max_megapixels: config.get('images.maxMegapixels')
+        },
+        features: {
+            jobs: true,
+            event_stream: true,
+            result_cache: resultCache.enabled,
+            path_access: pathGuard.allowedRoots.length > 0
+        }
     });
 });
 
+// Accepted input formats, including those this build of the image library cannot decode
+router.get('/formats', validate('get', '/formats'), (req, res) => {
+    res.json({ formats: ImageFormat.listFormats() });
+});
+
+// Prometheus metrics
+router.get('/metrics', validate('get', '/metrics'), async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        logger.error('Error rendering metrics:', error);
+        sendError(res, error);
+    }
+});
+
+// Effective configuration (read-only)
+router.get('/config', validate('get', '/config'), (req, res) => {
+    res.json(config.toJSON());
+});
+
+// Reload the config file and environment without restarting (same as SIGHUP)
+router.post('/admin/config/reload', validate('post', '/admin/config/reload'), (req, res) => {
+    try {
+        res.json({ ...reloadConfig('admin endpoint'), config: config.toJSON() });
+    } catch (error) {
+        logger.error(`Configuration reload failed, keeping the current settings: ${error.message}`, { details: error.details });
+        sendError(res, error);
+    }
+});
+
+// Result cache statistics
+router.get('/cache', validate('get', '/cache'), (req, res) => {
+    res.json(resultCache.getStats());
+});
+
+// Purge the result cache to reclaim disk space or force re-analysis
+router.delete('/cache', validate('delete', '/cache'), async (req, res) => {
+    try {
+        res.json(await resultCache.purge());
+    } catch (error) {
+        logger.error('Error purging result cache:', error);
+        sendError(res, error);
+    }
+});
+
+// OpenAPI document
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
 // Get available models
-app.get('/models', (req, res) => {
+router.get('/models', validate('get', '/models'), (req, res) => {
     try {
         const models = modelManager.getAvailableModels();
         res.json({ models });
     } catch (error) {
         logger.error('Error getting models:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Load a specific model
-app.post('/models/load', async (req, res) => {
+router.post('/models/load', validate('post', '/models/load'), async (req, res) => {
     try {
         const { modelName } = req.body;
         await modelManager.loadModel(modelName);
@@ -126,47 +479,113 @@ app.post('/models/load', async (req, res) => {
         });
     } catch (error) {
         logger.error('Error loading model:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Image quality assessment endpoint
-app.post('/assess/quality', upload.single('image'), async (req, res) => {
+async function assessQuality(req, res) {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No image file provided' });
+            return sendError(res, new BridgeError('NO_IMAGE'));
         }
         
-        // Process image
-        const processedImage = await imageProcessor.preprocessForNIMA(req.file.buffer);
-        
-        // Run inference
-        const scores = await onnxInference.assessQuality(processedImage);
+        const scores = await cachedImageWork(await readImage(req.file), { operation: 'quality' }, async (image) => {
+            // Process image
+            const processedImage = await imageProcessor.preprocessForNIMA(image);
+            
+            // Run inference
+            return onnxInference.assessQuality(processedImage);
+        });
         
         res.json({
             technical_score: scores.technical,
             aesthetic_score: scores.aesthetic,
             overall_score: scores.overall,
-            details: scores.details
+            details: scores.details,
+            ...previewInfo(req.file)
         });
     } catch (error) {
         logger.error('Error assessing image quality:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
-});
+}
 
-// Face detection endpoint
-app.post('/detect/faces', upload.single('image'), async (req, res) => {
+router.post('/assess/quality', upload.single('image'), validate('post', '/assess/quality'), assessQuality);
+router.post('/assess/quality/by-path', validate('post', '/assess/quality/by-path'), loadFilesFromPaths(1), assessQuality);
+
+// Unified analysis endpoint: one decode shared by the selected analyzers
+async function analyzeImage(req, res) {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No image file provided' });
+            return sendError(res, new BridgeError('NO_IMAGE'));
         }
         
-        // Process image for face detection
-        const processedImage = await imageProcessor.preprocessForFaceDetection(req.file.buffer);
+        const analyzers = Analyzer.parseAnalyzers(req.body.analyzers);
+        const result = await cachedImageWork(await readImage(req.file), { operation: 'analyze', analyzers },
+            (image) => analyzer.analyze(image, analyzers));
         
-        // Run face detection
-        const faces = await onnxInference.detectFaces(processedImage);
+        // Nothing to report but the failure when every analyzer failed, e.g. a model that is not loaded
+        const failures = Object.values(result.errors || {});
+        if (failures.length === analyzers.length) {
+            throw failures[0];
+        }
+        
+        res.json({
+            filename: req.file.originalname,
+            ...result,
+            ...previewInfo(req.file)
+        });
+    } catch (error) {
+        logger.error('Error analyzing image:', error);
+        sendError(res, error);
+    }
+}
+
+router.post('/analyze', upload.single('image'), validate('post', '/analyze'), analyzeImage);
+router.post('/analyze/by-path', validate('post', '/analyze/by-path'), loadFilesFromPaths(1), analyzeImage);
+
+// Single-analyzer endpoints for the classical image statistics
+function analyzerEndpoint(name) {
+    return async (req, res) => {
+        try {
+            if (!req.file) {
+                return sendError(res, new BridgeError('NO_IMAGE'));
+            }
+            
+            const result = await cachedImageWork(await readImage(req.file), { operation: 'analyze', analyzers: [name] },
+                (image) => analyzer.analyze(image, [name]));
+            if (result.errors) {
+                throw result.errors[name];
+            }
+            
+            res.json({ [name]: result[name], ...previewInfo(req.file) });
+        } catch (error) {
+            logger.error(`Error analyzing ${name}:`, error);
+            sendError(res, error);
+        }
+    };
+}
+
+for (const name of ['exposure', 'saturation', 'contrast']) {
+    router.post(`/assess/${name}`, upload.single('image'), validate('post', `/assess/${name}`), analyzerEndpoint(name));
+    router.post(`/assess/${name}/by-path`, validate('post', `/assess/${name}/by-path`), loadFilesFromPaths(1), analyzerEndpoint(name));
+}
+
+// Face detection endpoint
+router.post('/detect/faces', upload.single('image'), validate('post', '/detect/faces'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return sendError(res, new BridgeError('NO_IMAGE'));
+        }
+        
+        const faces = await cachedImageWork(await readImage(req.file), { operation: 'faces' }, async (image) => {
+            // Process image for face detection
+            const processedImage = await imageProcessor.preprocessForFaceDetection(image);
+            
+            // Run face detection
+            return onnxInference.detectFaces(processedImage);
+        });
         
         res.json({
             face_count: faces.length,
@@ -175,175 +594,398 @@ app.post('/detect/faces', upload.single('image'), async (req, res) => {
                 confidence: face.confidence,
                 landmarks: face.landmarks,
                 quality: face.quality
-            }))
+            })),
+            ...previewInfo(req.file)
         });
     } catch (error) {
         logger.error('Error detecting faces:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Blur detection endpoint
-app.post('/detect/blur', upload.single('image'), async (req, res) => {
+async function detectBlur(req, res) {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No image file provided' });
+            return sendError(res, new BridgeError('NO_IMAGE'));
         }
         
-        // Calculate blur using Laplacian variance
-        const blurScore = await imageProcessor.calculateBlur(req.file.buffer);
+        // Tiled Laplacian variance at the configured working resolution
+        const image = await readImage(req.file);
+        const blur = await cachedImageWork(image, { operation: 'blur' },
+            (input) => analyzer.assessBlur(input));
         
-        res.json({
-            blur_score: blurScore,
-            is_blurry: blurScore < 100,
-            threshold: 100
-        });
+        // Shutter speed against focal length, from EXIF
+        const metadata = await readPhotoMetadata(req.file, image);
+        const cameraShake = CameraShake.assess(metadata, blur, config.get('shake'));
+        
+        res.json({ ...blur, camera_shake: cameraShake, ...previewInfo(req.file) });
     } catch (error) {
         logger.error('Error detecting blur:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
-});
+}
+
+router.post('/detect/blur', upload.single('image'), validate('post', '/detect/blur'), detectBlur);
+router.post('/detect/blur/by-path', validate('post', '/detect/blur/by-path'), loadFilesFromPaths(1), detectBlur);
+
+// EXIF metadata endpoint: camera, lens, exposure settings and capture time
+async function readMetadata(req, res) {
+    try {
+        if (!req.file) {
+            return sendError(res, new BridgeError('NO_IMAGE'));
+        }
+
+        const metadata = await readPhotoMetadata(req.file, await readImage(req.file));
+        res.json({ ...metadata, ...previewInfo(req.file) });
+    } catch (error) {
+        logger.error('Error reading metadata:', error);
+        sendError(res, error);
+    }
+}
+
+// Header reads only, so no busy check
+router.post('/metadata', upload.single('image'), validate('post', '/metadata'), readMetadata);
+router.post('/metadata/by-path', validate('post', '/metadata/by-path'), loadFilesFromPaths(1), readMetadata);
+
+const BATCH_ANALYZERS = ['quality', 'blur', 'exposure', 'saturation', 'contrast'];
+
+// Score a single uploaded photo for batch results
+function processBatchFile(file) {
+    // Log lines for this photo carry its filename, even after the submitting request has ended
+    return RequestContext.withFields({ photo: file.originalname }, () => scoreBatchFile(file));
+}
+
+async function scoreBatchFile(file) {
+    try {
+        // Decode once and share the pixels between all batch analyzers.
+        // The batch was admitted as a whole, so its photos wait instead of being rejected.
+        const image = await readImage(file);
+        const analysis = await cachedImageWork(image, { operation: 'analyze', analyzers: BATCH_ANALYZERS },
+            (input) => analyzer.analyze(input, BATCH_ANALYZERS),
+            { bypassQueueLimit: true });
+        if (analysis.errors) {
+            // The first failure's code classifies the photo; the message lists them all
+            const [first, ...others] = Object.values(analysis.errors);
+            throw others.length === 0 ? first : new BridgeError(first.code,
+                [first, ...others].map(error => error.message).join('; '), { details: first.details, cause: first });
+        }
+        const metadata = await readPhotoMetadata(file, image);
+        
+        return {
+            filename: file.originalname,
+            scores: {
+                technical: analysis.quality.technical_score,
+                aesthetic: analysis.quality.aesthetic_score,
+                overall: analysis.quality.overall_score,
+                details: analysis.quality.details
+            },
+            blur_score: analysis.blur.blur_score,
+            is_blurry: analysis.blur.is_blurry,
+            camera_shake: CameraShake.assess(metadata, analysis.blur, config.get('shake')),
+            exposure: analysis.exposure,
+            saturation: analysis.saturation,
+            contrast: analysis.contrast,
+            metadata,
+            ...previewInfo(file),
+            success: true
+        };
+    } catch (error) {
+        const bridgeError = BridgeError.from(error);
+        metrics.recordError(bridgeError.code);
+        return {
+            filename: file.originalname,
+            error: bridgeError.message,
+            code: bridgeError.code,
+            retryable: bridgeError.retryable,
+            success: false
+        };
+    }
+}
 
 // Batch processing endpoint
-app.post('/batch/process', upload.array('images', 50), async (req, res) => {
+async function batchProcess(req, res) {
     try {
         if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No image files provided' });
+            return sendError(res, new BridgeError('NO_IMAGE', 'No image files provided'));
         }
         
         const results = [];
         
         for (const file of req.files) {
-            try {
-                // Process each image
-                const processedImage = await imageProcessor.preprocessForNIMA(file.buffer);
-                const scores = await onnxInference.assessQuality(processedImage);
-                const blurScore = await imageProcessor.calculateBlur(file.buffer);
-                
-                results.push({
-                    filename: file.originalname,
-                    scores: scores,
-                    blur_score: blurScore,
-                    success: true
-                });
-            } catch (error) {
-                results.push({
-                    filename: file.originalname,
-                    error: error.message,
-                    success: false
-                });
+            // Past the shutdown deadline, return what is scored so far
+            if (gracefulShutdown.deadlineReached) {
+                break;
             }
+            results.push(await processBatchFile(file));
+        }
+        
+        if (results.length < req.files.length) {
+            const unprocessed = req.files.slice(results.length).map(file => file.originalname);
+            logger.warn(`Batch interrupted by shutdown, ${unprocessed.length} photos not processed`);
+            return res.json({ results, interrupted: true, unprocessed });
         }
         
         res.json({ results });
     } catch (error) {
         logger.error('Error in batch processing:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+}
+
+router.post('/batch/process', rejectWhenBusy, upload.array('images', MAX_BATCH_UPLOADS), validate('post', '/batch/process'), batchProcess);
+router.post('/batch/process/by-path', rejectWhenBusy, validate('post', '/batch/process/by-path'), loadFilesFromPaths(batchPathLimit), batchProcess);
+
+// Asynchronous batch jobs
+function createJob(req, res) {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return sendError(res, new BridgeError('NO_IMAGE', 'No image files provided'));
+        }
+        
+        const job = createBatchJob(req);
+        
+        res.status(202)
+            .location(`/jobs/${job.id}`)
+            .json(jobManager.serializeJob(job));
+    } catch (error) {
+        logger.error('Error creating batch job:', error);
+        sendError(res, error);
     }
+}
+
+router.post('/jobs', rejectWhenBusy, upload.array('images', MAX_BATCH_UPLOADS), validate('post', '/jobs'), createJob);
+router.post('/jobs/by-path', rejectWhenBusy, validate('post', '/jobs/by-path'), loadFilesFromPaths(batchPathLimit), createJob);
+
+router.get('/jobs/:id', validate('get', '/jobs/{id}'), (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return sendError(res, new BridgeError('JOB_NOT_FOUND', `Job not found: ${req.params.id}`));
+    }
+    
+    res.json(jobManager.serializeJob(job));
+});
+
+router.delete('/jobs/:id', validate('delete', '/jobs/{id}'), (req, res) => {
+    const job = jobManager.cancelJob(req.params.id);
+    if (!job) {
+        return sendError(res, new BridgeError('JOB_NOT_FOUND', `Job not found: ${req.params.id}`));
+    }
+    
+    res.json(jobManager.serializeJob(job));
+});
+
+// Write job events to an open Server-Sent Events response until the job finishes
+function streamJobEvents(req, res, job) {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // Tell the client which job to resume if the connection drops
+    res.write(`event: job\ndata: ${JSON.stringify({ job_id: job.id, total: job.total })}\n\n`);
+    
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = null;
+    let closed = false;
+    
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+    
+    unsubscribe = jobManager.subscribe(job.id, lastEventId, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        if (event.type === 'summary') {
+            close();
+        }
+    });
+    
+    // The summary may already have been replayed before subscribe() returned
+    if (closed) {
+        unsubscribe();
+        return;
+    }
+    
+    res.on('close', close);
+}
+
+// Submit a batch and stream per-photo results as they finish
+function streamBatch(req, res) {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return sendError(res, new BridgeError('NO_IMAGE', 'No image files provided'));
+        }
+        
+        const job = createBatchJob(req);
+        streamJobEvents(req, res, job);
+    } catch (error) {
+        logger.error('Error starting batch stream:', error);
+        sendError(res, error);
+    }
+}
+
+router.post('/batch/stream', rejectWhenBusy, upload.array('images', MAX_BATCH_UPLOADS), validate('post', '/batch/stream'), streamBatch);
+router.post('/batch/stream/by-path', rejectWhenBusy, validate('post', '/batch/stream/by-path'), loadFilesFromPaths(batchPathLimit), streamBatch);
+
+// Reconnect to a job's event stream, resuming after Last-Event-ID
+router.get('/jobs/:id/events', validate('get', '/jobs/{id}/events'), (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return sendError(res, new BridgeError('JOB_NOT_FOUND', `Job not found: ${req.params.id}`));
+    }
+    
+    streamJobEvents(req, res, job);
 });
 
 // Feedback endpoints
-const feedbackService = new FeedbackService();
+// Google API errors carry the submitted row, user email included: log their message and code only
+const feedbackService = new FeedbackService(logger);
 
-app.post('/feedback/submit', async (req, res) => {
+router.post('/feedback/submit', validate('post', '/feedback/submit'), async (req, res) => {
     try {
         const result = await feedbackService.submitFeedback(req.body);
         res.json(result);
     } catch (error) {
-        logger.error('Error submitting feedback:', error);
-        res.status(500).json({ 
-            error: 'Failed to submit feedback',
-            message: error.message 
-        });
+        logger.error(`Error submitting feedback: ${error.message}`, { code: error.code });
+        sendError(res, new BridgeError('FEEDBACK_UNAVAILABLE', `Failed to submit feedback: ${error.message}`, { cause: error }));
     }
 });
 
-app.post('/feedback/check-responses', async (req, res) => {
+router.post('/feedback/check-responses', validate('post', '/feedback/check-responses'), async (req, res) => {
     try {
         const { submissionIds } = req.body;
         const responses = await feedbackService.checkResponses(submissionIds);
         res.json(responses);
     } catch (error) {
-        logger.error('Error checking responses:', error);
-        res.status(500).json({ 
-            error: 'Failed to check responses',
-            message: error.message 
-        });
+        logger.error(`Error checking responses: ${error.message}`, { code: error.code });
+        sendError(res, new BridgeError('FEEDBACK_UNAVAILABLE', `Failed to check responses: ${error.message}`, { cause: error }));
     }
 });
 
-app.get('/feedback/statistics', async (req, res) => {
+router.get('/feedback/statistics', validate('get', '/feedback/statistics'), async (req, res) => {
     try {
         const stats = await feedbackService.getStatistics();
         res.json(stats);
     } catch (error) {
-        logger.error('Error getting statistics:', error);
-        res.status(500).json({ 
-            error: 'Failed to get statistics',
-            message: error.message 
-        });
+        logger.error(`Error getting statistics: ${error.message}`, { code: error.code });
+        sendError(res, new BridgeError('FEEDBACK_UNAVAILABLE', `Failed to get statistics: ${error.message}`, { cause: error }));
     }
 });
 
 // Similarity comparison endpoint
-app.post('/compare/similarity', upload.array('images', 2), async (req, res) => {
+router.post('/compare/similarity', upload.array('images', 2), validate('post', '/compare/similarity'), async (req, res) => {
     try {
         if (!req.files || req.files.length !== 2) {
-            return res.status(400).json({ error: 'Exactly 2 images required for comparison' });
+            return sendError(res, new BridgeError('VALIDATION_FAILED', 'Exactly 2 images required for comparison'));
         }
         
         // Extract features from both images
-        const features1 = await onnxInference.extractFeatures(req.files[0].buffer);
-        const features2 = await onnxInference.extractFeatures(req.files[1].buffer);
+        const [features1, features2] = await Promise.all(req.files.map(file =>
+            RequestContext.withFields({ photo: file.originalname }, () =>
+                readImage(file).then(image => cachedImageWork(image, { operation: 'features' },
+                    async (image) => Array.from(await onnxInference.extractFeatures(image)))))
+        ));
         
         // Calculate similarity
         const similarity = imageProcessor.calculateSimilarity(features1, features2);
+        const threshold = config.get('similarity.threshold');
         
         res.json({
             similarity_score: similarity,
-            are_similar: similarity > 0.85,
-            threshold: 0.85
+            are_similar: similarity > threshold,
+            threshold
         });
     } catch (error) {
         logger.error('Error comparing images:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Error handling middleware
+// Versioned API
+app.use(`/${API_VERSION}`, router);
+
+// Unversioned routes stay available for older plugins but are marked deprecated
+const UNVERSIONED_STABLE_PATHS = [...HEALTH_PATHS, '/capabilities', '/formats', '/openapi.json', '/metrics'];
+
+app.use((req, res, next) => {
+    const isVersioned = req.path.startsWith(`/${API_VERSION}/`);
+    if (!isVersioned && !UNVERSIONED_STABLE_PATHS.includes(req.path)) {
+        res.set('Deprecation', 'true');
+        res.set('Link', `</${API_VERSION}${req.path}>; rel="successor-version"`);
+    }
+    next();
+}, router);
+
+// Unknown routes
+app.use((req, res) => {
+    sendError(res, new BridgeError('NOT_FOUND', `Route not found: ${req.method} ${req.path}`));
+});
+
+// Error handling middleware: multer, body-parser, auth and validation errors all end up here
 app.use((error, req, res, next) => {
-    logger.error('Unhandled error:', error);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: error.message
-    });
+    const bridgeError = BridgeError.from(error);
+    // Rejections during shutdown are expected and not worth an error entry
+    if (bridgeError.status >= 500 && bridgeError.code !== 'SHUTTING_DOWN') {
+        logger.error('Unhandled error:', error);
+    }
+    sendError(res, bridgeError);
 });
 
 // Start server
 async function startServer() {
     await initializeServices();
+    await authToken.loadOrCreate();
+    await jobManager.restoreCheckpoint();
     
-    app.listen(PORT, () => {
-        logger.info(`🚀 ONNX Bridge Server running on port ${PORT}`);
+    const port = config.get('server.port');
+    const host = config.get('server.host');
+    const server = app.listen(port, host, () => {
+        logger.info(`🚀 ONNX Bridge Server running on ${host}:${port}`);
         logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+    gracefulShutdown.attach(server);
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    logger.info('SIGTERM received, shutting down gracefully...');
-    if (onnxInference) {
-        await onnxInference.cleanup();
+// Graceful shutdown: stop accepting work, drain or interrupt and checkpoint it,
+// stop the workers and release the ONNX sessions, and flush the logs last
+function shutdown(signal) {
+    if (gracefulShutdown.shuttingDown) {
+        // A second signal (e.g. Ctrl+C twice) skips the drain
+        process.exit(1);
     }
-    process.exit(0);
-});
+    
+    const startedAt = new Date();
+    gracefulShutdown.shutdown(signal, {
+        isIdle: () => !jobManager.hasRunningJobs(),
+        interrupt: () => jobManager.interruptAll(),
+        checkpoint: () => jobManager.saveCheckpoint(startedAt),
+        release: async () => {
+            await workerPool.close();
+            if (onnxInference) {
+                await onnxInference.cleanup();
+            }
+        }
+    }).then(() => process.exit(0));
+}
 
-process.on('SIGINT', async () => {
-    logger.info('SIGINT received, shutting down gracefully...');
-    if (onnxInference) {
-        await onnxInference.cleanup();
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('SIGHUP', () => {
+    try {
+        reloadConfig('SIGHUP');
+    } catch (error) {
+        logger.error(`Configuration reload failed, keeping the current settings: ${error.message}`, { details: error.details });
     }
-    process.exit(0);
 });
 
 // Start the server
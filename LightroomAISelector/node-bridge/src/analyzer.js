@@ -0,0 +1,219 @@
+/**
+ * Analyzer Module
+ * Decodes an image once and runs a selectable set of analyzers on the shared pixels
+ */
+
+const BridgeError = require('./errors');
+
+const ANALYZERS = [
+    'quality',
+    'blur',
+    'faces',
+    'exposure',
+    'saturation',
+    'contrast',
+    'similarity-embedding'
+];
+
+// Used when a request does not name any analyzers
+const DEFAULT_ANALYZERS = ['quality', 'blur', 'exposure', 'saturation', 'contrast'];
+
+const BLUR_TYPES = ['sharp', 'shallow_depth_of_field', 'defocused', 'motion_blurred'];
+
+// A sharp photo with at least this share of soft tiles has a sharp subject
+// against a blurred background rather than being sharp throughout
+const SHALLOW_DOF_SOFT_SHARE = 0.5;
+
+// 0.5 at a decision boundary, rising to 1 at the far end of the value's range
+function decisionConfidence(value, boundary, min, max) {
+    const span = value >= boundary ? max - boundary : boundary - min;
+    return span > 0 ? 0.5 + 0.5 * Math.min(1, Math.abs(value - boundary) / span) : 1;
+}
+
+class Analyzer {
+    constructor(imageProcessor, onnxInference, logger, config) {
+        this.imageProcessor = imageProcessor;
+        this.onnxInference = onnxInference;
+        this.logger = logger;
+        this.config = config;
+    }
+
+    /**
+     * Normalize the analyzers requested by a client.
+     * Accepts an array, a JSON array string or a comma-separated string.
+     * @returns {Array<string>} Analyzer names
+     * @throws {BridgeError} INVALID_ANALYZER when an analyzer is unknown
+     */
+    static parseAnalyzers(value) {
+        if (value === undefined || value === null || value === '') {
+            return DEFAULT_ANALYZERS.slice();
+        }
+
+        let names = value;
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            try {
+                names = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+            } catch {
+                throw new BridgeError('INVALID_ANALYZER', `Invalid analyzers list: ${value}`);
+            }
+        }
+
+        if (!Array.isArray(names)) {
+            throw new BridgeError('INVALID_ANALYZER', 'analyzers must be a list of analyzer names');
+        }
+
+        names = names.map(name => String(name).trim()).filter(Boolean);
+
+        const unknown = names.filter(name => !ANALYZERS.includes(name));
+        if (unknown.length > 0) {
+            throw new BridgeError('INVALID_ANALYZER', `Unknown analyzers: ${unknown.join(', ')}. Supported: ${ANALYZERS.join(', ')}`);
+        }
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Run the selected analyzers against one image
+     * @param {Buffer|string} imageBuffer - Encoded image or its path
+     * @param {Array<string>} analyzers - Analyzer names from ANALYZERS
+     * @returns {Promise<Object>} Combined result, with per-analyzer failures under `errors`
+     *   as BridgeErrors, so their code and retryable flag survive (they serialize to error objects)
+     */
+    async analyze(imageBuffer, analyzers = DEFAULT_ANALYZERS) {
+        const decoded = await this.imageProcessor.decode(imageBuffer);
+        const result = {
+            width: decoded.info.width,
+            height: decoded.info.height,
+            analyzers
+        };
+        const errors = {};
+
+        for (const name of analyzers) {
+            try {
+                Object.assign(result, await this.runAnalyzer(name, decoded));
+            } catch (error) {
+                this.logger.error(`Analyzer ${name} failed:`, error);
+                errors[name] = BridgeError.from(error);
+            }
+        }
+
+        if (Object.keys(errors).length > 0) {
+            result.errors = errors;
+        }
+
+        return result;
+    }
+
+    /**
+     * Blur verdict for one image. The photo counts as blurry only when even its
+     * sharpest region is soft, so intentional bokeh behind a sharp subject passes.
+     * @param {Buffer|Object} input - Encoded or decoded image
+     */
+    async assessBlur(input) {
+        const sharpness = await this.imageProcessor.calculateBlur(input, {
+            workingSize: this.config.get('blur.workingSize'),
+            gridSize: this.config.get('blur.gridSize')
+        });
+        const threshold = this.config.get('blur.threshold');
+
+        return {
+            blur_score: sharpness.score,
+            is_blurry: sharpness.sharpestRegion.score < threshold,
+            threshold,
+            sharpest_region: sharpness.sharpestRegion,
+            sharpness_map: sharpness.map,
+            classification: this.classifyBlur(sharpness, threshold),
+            working_resolution: sharpness.workingResolution
+        };
+    }
+
+    /**
+     * Kind of blur. Tiles agreeing on one smear direction mean motion blur
+     * (subject motion or camera shake), even when detail across the smear
+     * keeps the Laplacian high enough to pass the blur threshold. Otherwise a
+     * photo is sharp throughout, has a sharp subject before a soft background,
+     * or is defocused.
+     * @param {Object} sharpness - Result of ImageProcessor.calculateBlur()
+     * @returns {Object} { type, confidence, coherence, motion_direction }
+     */
+    classifyBlur(sharpness, threshold) {
+        const { sharpestRegion, map, motion } = sharpness;
+        const motionCoherence = this.config.get('blur.motionCoherence');
+        const motionConfidence = decisionConfidence(motion.coherence, motionCoherence, 0, 1);
+
+        // Within a factor of two of the threshold either way, sharpness is uncertain
+        const stops = threshold > 0 ? Math.log2(Math.max(sharpestRegion.score, Number.MIN_VALUE) / threshold) : Infinity;
+        const sharpnessConfidence = decisionConfidence(stops, 0, -1, 1);
+
+        let type;
+        let confidence;
+        if (motion.coherence >= motionCoherence) {
+            type = 'motion_blurred';
+            confidence = motionConfidence;
+        } else if (stops >= 0) {
+            const tiles = map.scores.flat();
+            const softShare = tiles.filter(score => score < threshold).length / tiles.length;
+            type = softShare >= SHALLOW_DOF_SOFT_SHARE ? 'shallow_depth_of_field' : 'sharp';
+            confidence = Math.min(motionConfidence, sharpnessConfidence,
+                decisionConfidence(softShare, SHALLOW_DOF_SOFT_SHARE, 0, 1));
+        } else {
+            type = 'defocused';
+            confidence = Math.min(motionConfidence, sharpnessConfidence);
+        }
+
+        return {
+            type,
+            confidence: Number(confidence.toFixed(3)),
+            coherence: Number(motion.coherence.toFixed(3)),
+            motion_direction: type === 'motion_blurred' ? Math.round(motion.direction) % 180 : null
+        };
+    }
+
+    async runAnalyzer(name, decoded) {
+        switch (name) {
+            case 'quality': {
+                const processedImage = await this.imageProcessor.preprocessForNIMA(decoded);
+                const scores = await this.onnxInference.assessQuality(processedImage);
+                return {
+                    quality: {
+                        technical_score: scores.technical,
+                        aesthetic_score: scores.aesthetic,
+                        overall_score: scores.overall,
+                        details: scores.details
+                    }
+                };
+            }
+            case 'blur':
+                return { blur: await this.assessBlur(decoded) };
+            case 'faces': {
+                const processedImage = await this.imageProcessor.preprocessForFaceDetection(decoded);
+                const faces = await this.onnxInference.detectFaces(processedImage);
+                return {
+                    faces: {
+                        face_count: faces.length,
+                        faces
+                    }
+                };
+            }
+            case 'exposure':
+                return { exposure: await this.imageProcessor.analyzeHistogram(decoded) };
+            case 'saturation':
+                return { saturation: await this.imageProcessor.analyzeSaturation(decoded) };
+            case 'contrast':
+                return { contrast: await this.imageProcessor.analyzeContrast(decoded) };
+            case 'similarity-embedding': {
+                const features = await this.onnxInference.extractFeatures(decoded);
+                return { similarity_embedding: Array.from(features) };
+            }
+            default:
+                throw new Error(`Unknown analyzer: ${name}`);
+        }
+    }
+}
+
+Analyzer.ANALYZERS = ANALYZERS;
+Analyzer.DEFAULT_ANALYZERS = DEFAULT_ANALYZERS;
+Analyzer.BLUR_TYPES = BLUR_TYPES;
+
+module.exports = Analyzer;
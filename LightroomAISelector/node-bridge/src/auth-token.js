@@ -0,0 +1,93 @@
+/**
+ * Auth Token Module
+ * Per-install shared secret between the Lightroom plugin and the bridge.
+ * The token lives in a file only the current user can read; the plugin
+ * reads the same file and sends the token with every request.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const BridgeError = require('./errors');
+
+const TOKEN_HEADER = 'x-pickit-token';
+
+class AuthToken {
+    constructor(logger, tokenFile = AuthToken.defaultPath()) {
+        this.logger = logger;
+        this.tokenFile = tokenFile;
+        this.token = null;
+    }
+
+    static defaultPath() {
+        return process.env.BRIDGE_TOKEN_FILE || path.join(os.homedir(), '.pickit', 'bridge-token');
+    }
+
+    /**
+     * Read the token file, generating a new secret on first run
+     * @returns {Promise<string>} The token
+     */
+    async loadOrCreate() {
+        try {
+            this.token = (await fs.readFile(this.tokenFile, 'utf8')).trim();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        if (!this.token) {
+            this.token = crypto.randomBytes(32).toString('hex');
+            await fs.mkdir(path.dirname(this.tokenFile), { recursive: true, mode: 0o700 });
+            await fs.writeFile(this.tokenFile, this.token + '\n', { mode: 0o600 });
+            this.logger.info(`Generated bridge auth token at ${this.tokenFile}`);
+        } else {
+            this.logger.info(`Using bridge auth token from ${this.tokenFile}`);
+        }
+
+        return this.token;
+    }
+
+    /**
+     * Extract the token from `Authorization: Bearer <token>` or `X-Pickit-Token`
+     */
+    extractToken(req) {
+        const authorization = req.get('authorization') || '';
+        const match = authorization.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : (req.get(TOKEN_HEADER) || '').trim();
+    }
+
+    isValid(candidate) {
+        if (!this.token || !candidate) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(candidate);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Express middleware rejecting requests without a valid token
+     * @param {Array<string>} publicPaths - Paths that stay reachable without a token
+     */
+    middleware(publicPaths = []) {
+        return (req, res, next) => {
+            // CORS preflight requests never carry credentials
+            if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+                return next();
+            }
+
+            if (!this.isValid(this.extractToken(req))) {
+                return next(new BridgeError('UNAUTHORIZED'));
+            }
+
+            next();
+        };
+    }
+}
+
+AuthToken.TOKEN_HEADER = TOKEN_HEADER;
+
+module.exports = AuthToken;
@@ -0,0 +1,66 @@
+/**
+ * Camera Shake Module
+ * Judges how likely a photo is to be softened by camera shake from how it was
+ * shot. By the reciprocal rule a hand-held exposure needs a shutter speed of
+ * at least 1/(35 mm equivalent focal length) seconds. The measured sharpness
+ * only tempers the verdict: shake can smear a frame so evenly that its
+ * Laplacian variance still looks fine.
+ */
+
+const Exif = require('./exif');
+
+// Stops slower than the reciprocal rule at which the exposure risk reaches 1
+const STOPS_TO_CERTAIN = 3;
+
+// Share of the exposure risk kept however sharp the image measures, e.g. on a tripod
+const MIN_SHARPNESS_WEIGHT = 0.6;
+
+const clamp = value => Math.min(1, Math.max(0, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * @param {Object} metadata - From ImageProcessor.readMetadata(): exposure_time, focal_length, focal_length_35mm
+ * @param {Object} blur - From Analyzer.assessBlur(): threshold and sharpest_region.score
+ * @param {Object} settings - shake config: stabilizationStops, defaultCropFactor, riskThreshold
+ * @returns {Object} Risk from 0 to 1 and the likely_motion_blur flag; risk is null
+ *   when EXIF lacks the exposure time or focal length
+ */
+function assess(metadata, blur, settings) {
+    const { exposure_time: exposureTime, focal_length: focalLength, focal_length_35mm: focalLength35mm } = metadata;
+
+    const cropFactor = focalLength && focalLength35mm ? focalLength35mm / focalLength : settings.defaultCropFactor;
+    const equivalentFocalLength = focalLength35mm || (focalLength ? focalLength * cropFactor : null);
+    if (!exposureTime || !equivalentFocalLength) {
+        return {
+            risk: null,
+            likely_motion_blur: false,
+            equivalent_focal_length: null,
+            crop_factor: null,
+            safe_shutter_speed: null,
+            stops_over: null
+        };
+    }
+
+    // Slowest hand-holdable exposure, lengthened by image stabilization
+    const safeExposureTime = 2 ** settings.stabilizationStops / equivalentFocalLength;
+    const stopsOver = Math.log2(exposureTime / safeExposureTime);
+    const exposureRisk = clamp(stopsOver / STOPS_TO_CERTAIN);
+
+    // A sharpest region at twice the blur threshold or more earns the full discount
+    const margin = blur.threshold > 0 ? blur.sharpest_region.score / blur.threshold : Infinity;
+    const softness = clamp(2 - margin);
+    const risk = exposureRisk * (MIN_SHARPNESS_WEIGHT + (1 - MIN_SHARPNESS_WEIGHT) * softness);
+
+    return {
+        risk: round(risk, 3),
+        likely_motion_blur: risk > 0 && risk >= settings.riskThreshold,
+        equivalent_focal_length: Math.round(equivalentFocalLength),
+        crop_factor: round(cropFactor, 2),
+        safe_shutter_speed: Exif.formatShutterSpeed(safeExposureTime),
+        stops_over: round(stopsOver, 2)
+    };
+}
+
+module.exports = {
+    assess
+};
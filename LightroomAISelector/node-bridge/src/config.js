@@ -0,0 +1,358 @@
+/**
+ * Config Module
+ * Bridge settings from one validated source: schema defaults, then a JSON or
+ * YAML config file, then environment variables. Services read settings with
+ * get() when they use them, so a reload applies without restarting.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const BridgeError = require('./errors');
+
+const PICKIT_DIR = path.join(os.homedir(), '.pickit');
+const DEFAULT_CONFIG_FILE = path.join(PICKIT_DIR, 'bridge-config.yaml');
+
+const section = (properties) => ({
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties
+});
+
+const SCHEMA = section({
+    server: section({
+        port: { type: 'integer', minimum: 1, maximum: 65535, default: 3000 },
+        // Loopback only by default: the plugin always runs on the same machine
+        host: { type: 'string', default: '127.0.0.1' },
+        // Browser origins allowed to call the bridge (none by default)
+        corsOrigins: { type: 'array', items: { type: 'string' }, default: [] }
+    }),
+    logging: section({
+        level: { enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'], default: 'info' }
+    }),
+    security: section({
+        tokenFile: { type: 'string', default: path.join(PICKIT_DIR, 'bridge-token') }
+    }),
+    paths: section({
+        // Folders the /by-path endpoints may read from; empty disables them
+        allowedRoots: { type: 'array', items: { type: 'string' }, default: [] },
+        batchPathLimit: { type: 'integer', minimum: 1, default: 2000 }
+    }),
+    scheduler: section({
+        maxConcurrent: { type: 'integer', minimum: 1, default: 2 },
+        maxMegapixels: { type: 'number', exclusiveMinimum: 0, default: 100 },
+        maxQueue: { type: 'integer', minimum: 0, default: 20 }
+    }),
+    uploads: section({
+        // Uploads are streamed here and deleted once their request or job is done
+        tempDir: { type: 'string', default: path.join(os.tmpdir(), 'pickit-uploads') }
+    }),
+    images: section({
+        // Larger images are rejected from their header, before decoding;
+        // the decoder itself refuses anything above 268 MP
+        maxMegapixels: { type: 'number', exclusiveMinimum: 0, maximum: 268, default: 200 }
+    }),
+    jobs: section({
+        retentionMs: { type: 'integer', minimum: 0, default: 60 * 60 * 1000 },
+        checkpointFile: { type: 'string', default: path.join(PICKIT_DIR, 'jobs-checkpoint.json') }
+    }),
+    workers: section({
+        // Threads for decoding and pixel analysis; 0 runs them on the main thread
+        poolSize: { type: 'integer', minimum: 0, default: Math.max(1, os.cpus().length - 1) }
+    }),
+    shutdown: section({
+        timeoutMs: { type: 'integer', minimum: 0, default: 30000 }
+    }),
+    scoring: section({
+        technicalWeight: { type: 'number', minimum: 0, maximum: 1, default: 0.4 },
+        aestheticWeight: { type: 'number', minimum: 0, maximum: 1, default: 0.6 }
+    }),
+    blur: section({
+        // Laplacian variance of the sharpest region below this counts as blurry
+        threshold: { type: 'number', minimum: 0, default: 100 },
+        // Long edge, in pixels, images are scaled down to before measuring
+        workingSize: { type: 'integer', minimum: 64, default: 1024 },
+        // Tiles per side of the sharpness map
+        gridSize: { type: 'integer', minimum: 1, maximum: 32, default: 8 },
+        // Agreement of the tiles on one blur direction (0-1) from which a blurry
+        // photo counts as motion-blurred rather than defocused
+        motionCoherence: { type: 'number', minimum: 0, maximum: 1, default: 0.4 }
+    }),
+    shake: section({
+        // Stops of image stabilization credited against the reciprocal rule
+        stabilizationStops: { type: 'number', minimum: 0, maximum: 8, default: 0 },
+        // Crop factor assumed when EXIF has no 35 mm equivalent focal length
+        defaultCropFactor: { type: 'number', exclusiveMinimum: 0, maximum: 10, default: 1 },
+        // Shake risk at or above which a photo is flagged as likely motion blur
+        riskThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.5 }
+    }),
+    similarity: section({
+        threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.85 }
+    }),
+    faces: section({
+        confidenceThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        // Overlap (intersection over union) above which the less confident of two detections is dropped
+        iouThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.3 }
+    }),
+    cache: section({
+        // Analysis results by image content, so re-scoring a shoot skips inference
+        enabled: { type: 'boolean', default: true },
+        dir: { type: 'string', default: path.join(PICKIT_DIR, 'cache', 'results') },
+        maxSizeMb: { type: 'number', exclusiveMinimum: 0, default: 512 },
+        maxAgeDays: { type: 'number', exclusiveMinimum: 0, default: 30 }
+    })
+});
+
+// Environment variables win over the config file
+const ENV_OVERRIDES = {
+    PORT: 'server.port',
+    HOST: 'server.host',
+    CORS_ORIGINS: 'server.corsOrigins',
+    LOG_LEVEL: 'logging.level',
+    BRIDGE_TOKEN_FILE: 'security.tokenFile',
+    ALLOWED_ROOTS: 'paths.allowedRoots',
+    BATCH_PATH_LIMIT: 'paths.batchPathLimit',
+    MAX_CONCURRENT_INFERENCES: 'scheduler.maxConcurrent',
+    MAX_MEGAPIXELS_IN_FLIGHT: 'scheduler.maxMegapixels',
+    MAX_QUEUED_REQUESTS: 'scheduler.maxQueue',
+    UPLOAD_TEMP_DIR: 'uploads.tempDir',
+    MAX_IMAGE_MEGAPIXELS: 'images.maxMegapixels',
+    JOB_RETENTION_MS: 'jobs.retentionMs',
+    JOB_CHECKPOINT_FILE: 'jobs.checkpointFile',
+    WORKER_POOL_SIZE: 'workers.poolSize',
+    SHUTDOWN_TIMEOUT_MS: 'shutdown.timeoutMs',
+    TECHNICAL_WEIGHT: 'scoring.technicalWeight',
+    AESTHETIC_WEIGHT: 'scoring.aestheticWeight',
+    BLUR_THRESHOLD: 'blur.threshold',
+    BLUR_WORKING_SIZE: 'blur.workingSize',
+    BLUR_GRID_SIZE: 'blur.gridSize',
+    BLUR_MOTION_COHERENCE: 'blur.motionCoherence',
+    SHAKE_STABILIZATION_STOPS: 'shake.stabilizationStops',
+    SHAKE_DEFAULT_CROP_FACTOR: 'shake.defaultCropFactor',
+    SHAKE_RISK_THRESHOLD: 'shake.riskThreshold',
+    SIMILARITY_THRESHOLD: 'similarity.threshold',
+    FACE_CONFIDENCE_THRESHOLD: 'faces.confidenceThreshold',
+    FACE_IOU_THRESHOLD: 'faces.iouThreshold',
+    ENABLE_CACHE: 'cache.enabled',
+    CACHE_DIR: 'cache.dir',
+    CACHE_MAX_SIZE_MB: 'cache.maxSizeMb',
+    CACHE_MAX_AGE_DAYS: 'cache.maxAgeDays'
+};
+
+// List-valued variables: ALLOWED_ROOTS is separated like PATH
+const ENV_LIST_SEPARATORS = {
+    CORS_ORIGINS: ',',
+    ALLOWED_ROOTS: path.delimiter
+};
+
+// File system paths, where a leading ~ means the user's home folder
+const PATH_SETTINGS = ['security.tokenFile', 'uploads.tempDir', 'jobs.checkpointFile', 'paths.allowedRoots', 'cache.dir'];
+
+// Read once on startup
+const RESTART_REQUIRED = ['server.port', 'server.host', 'security.tokenFile', 'uploads.tempDir', 'workers.poolSize', 'cache.dir'];
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true, strict: false });
+const validateConfig = ajv.compile(SCHEMA);
+
+class Config extends EventEmitter {
+    /**
+     * @param {Object} options - { file, env } (defaults: BRIDGE_CONFIG_FILE, process.env)
+     */
+    constructor(options = {}) {
+        super();
+        this.env = options.env || process.env;
+        // An explicitly configured file must exist; the default one is optional
+        this.fileRequired = Boolean(options.file || this.env.BRIDGE_CONFIG_FILE);
+        this.file = expandHome(options.file || this.env.BRIDGE_CONFIG_FILE || DEFAULT_CONFIG_FILE);
+
+        this.values = null;
+        this.fileLoaded = false;
+        this.envOverrides = [];
+        this.loadedAt = null;
+    }
+
+    /**
+     * Read the config file and environment and validate the result
+     * @returns {Object} Effective settings
+     * @throws {BridgeError} CONFIG_INVALID, with details, when anything is invalid
+     */
+    load() {
+        const { settings, fileLoaded } = this.readFile();
+        const envOverrides = this.applyEnv(settings);
+
+        if (!validateConfig(settings)) {
+            throw new BridgeError('CONFIG_INVALID', `Invalid configuration in ${this.describeSources(fileLoaded, envOverrides)}`, {
+                details: validateConfig.errors.map(error => {
+                    const parts = error.instancePath.split('/').filter(Boolean);
+                    if (error.params.additionalProperty) {
+                        parts.push(error.params.additionalProperty);
+                    }
+                    return {
+                        field: parts.join('.') || '(config)',
+                        message: error.params.additionalProperty ? 'unknown setting' : error.message
+                    };
+                })
+            });
+        }
+
+        for (const key of PATH_SETTINGS) {
+            const [sectionName, setting] = key.split('.');
+            const value = settings[sectionName][setting];
+            settings[sectionName][setting] = Array.isArray(value) ? value.map(expandHome) : expandHome(value);
+        }
+
+        this.values = deepFreeze(settings);
+        this.fileLoaded = fileLoaded;
+        this.envOverrides = envOverrides;
+        this.loadedAt = new Date().toISOString();
+
+        return this.values;
+    }
+
+    /**
+     * Load again, keeping the current settings if the new ones are invalid
+     * @returns {Object} { changed, restartRequired } lists of setting paths
+     * @throws {BridgeError} CONFIG_INVALID
+     */
+    reload() {
+        const previous = this.values;
+        this.load();
+
+        const changed = diffPaths(previous, this.values);
+        const restartRequired = changed.filter(key => RESTART_REQUIRED.includes(key));
+        if (changed.length > 0) {
+            this.emit('change', this.values, changed);
+        }
+
+        return { changed, restartRequired };
+    }
+
+    /**
+     * @param {string} key - Dotted setting path, e.g. 'blur.threshold'
+     */
+    get(key) {
+        return key.split('.').reduce((value, part) => (value === undefined ? undefined : value[part]), this.values);
+    }
+
+    readFile() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' && !this.fileRequired) {
+                return { settings: {}, fileLoaded: false };
+            }
+            throw new BridgeError('CONFIG_INVALID', `Cannot read config file ${this.file}: ${error.message}`, { cause: error });
+        }
+
+        let settings;
+        try {
+            settings = path.extname(this.file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+        } catch (error) {
+            throw new BridgeError('CONFIG_INVALID', `Cannot parse config file ${this.file}: ${error.message}`, { cause: error });
+        }
+
+        // An empty YAML file is a valid "use the defaults"
+        if (settings === undefined || settings === null) {
+            settings = {};
+        }
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new BridgeError('CONFIG_INVALID', `Config file ${this.file} must contain an object of settings`);
+        }
+
+        return { settings, fileLoaded: true };
+    }
+
+    /**
+     * Copy set environment variables into settings
+     * @returns {Array<string>} Names of the variables that were applied
+     */
+    applyEnv(settings) {
+        const applied = [];
+
+        for (const [name, key] of Object.entries(ENV_OVERRIDES)) {
+            const raw = this.env[name];
+            if (raw === undefined || raw === '') {
+                continue;
+            }
+
+            const separator = ENV_LIST_SEPARATORS[name];
+            const value = separator
+                ? raw.split(separator).map(item => item.trim()).filter(Boolean)
+                : raw;
+
+            const [sectionName, setting] = key.split('.');
+            if (typeof settings[sectionName] !== 'object' || settings[sectionName] === null) {
+                settings[sectionName] = {};
+            }
+            settings[sectionName][setting] = value;
+            applied.push(name);
+        }
+
+        return applied;
+    }
+
+    describeSources(fileLoaded, envOverrides) {
+        const sources = [];
+        if (fileLoaded) {
+            sources.push(this.file);
+        }
+        if (envOverrides.length > 0) {
+            sources.push(`environment (${envOverrides.join(', ')})`);
+        }
+        return sources.join(' and ') || 'defaults';
+    }
+
+    /**
+     * Effective settings and where they came from, for GET /config
+     */
+    toJSON() {
+        return {
+            file: this.file,
+            file_loaded: this.fileLoaded,
+            env_overrides: this.envOverrides,
+            loaded_at: this.loadedAt,
+            restart_required: RESTART_REQUIRED,
+            settings: this.values
+        };
+    }
+}
+
+function expandHome(value) {
+    return value === '~' || value.startsWith('~/') || value.startsWith('~\\')
+        ? path.join(os.homedir(), value.slice(1))
+        : value;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// Dotted paths of the settings that differ between two loads
+function diffPaths(before, after) {
+    const changed = [];
+
+    for (const sectionName of Object.keys(after)) {
+        for (const setting of Object.keys(after[sectionName])) {
+            const previous = before && before[sectionName] ? before[sectionName][setting] : undefined;
+            if (JSON.stringify(previous) !== JSON.stringify(after[sectionName][setting])) {
+                changed.push(`${sectionName}.${setting}`);
+            }
+        }
+    }
+
+    return changed;
+}
+
+Config.SCHEMA = SCHEMA;
+Config.ENV_OVERRIDES = ENV_OVERRIDES;
+
+module.exports = Config;
@@ -0,0 +1,280 @@
+/**
+ * Bridge Errors Module
+ * Machine-readable error taxonomy shared with the Lightroom plugin.
+ * Every error response carries { error, code, retryable, hint }, so the
+ * plugin's ErrorHandler can react to the code instead of parsing messages.
+ */
+
+const ERROR_CODES = {
+    // Request problems
+    VALIDATION_FAILED: {
+        status: 400,
+        retryable: false,
+        message: 'Validation failed',
+        hint: 'Check the request against /openapi.json.'
+    },
+    NO_IMAGE: {
+        status: 400,
+        retryable: false,
+        message: 'No image file provided',
+        hint: 'Attach the photo in the image field, or use the /by-path variant.'
+    },
+    TOO_MANY_FILES: {
+        status: 400,
+        retryable: false,
+        message: 'Too many files in one request',
+        hint: 'Split the selection into smaller batches; /capabilities lists the limits.'
+    },
+    INVALID_ANALYZER: {
+        status: 400,
+        retryable: false,
+        message: 'Unknown analyzer requested',
+        hint: 'Choose analyzers from the list reported by /capabilities.'
+    },
+    UNAUTHORIZED: {
+        status: 401,
+        retryable: false,
+        message: 'Missing or invalid bridge token',
+        hint: 'Restart the bridge and the plugin so both read the same token file.'
+    },
+    PAYLOAD_TOO_LARGE: {
+        status: 413,
+        retryable: false,
+        message: 'Upload is too large',
+        hint: 'Export a smaller preview or use the /by-path variant.'
+    },
+    UNSUPPORTED_FORMAT: {
+        status: 415,
+        retryable: false,
+        message: 'Unsupported image format',
+        hint: 'Send a JPEG, PNG or TIFF rendition of the photo.'
+    },
+    UNSUPPORTED_RAW_VARIANT: {
+        status: 415,
+        retryable: false,
+        message: 'Unsupported RAW variant: no usable embedded JPEG preview',
+        hint: 'Send a JPEG or TIFF rendition of the photo instead of the raw file.'
+    },
+    IMAGE_DECODE_FAILED: {
+        status: 422,
+        retryable: false,
+        message: 'The image could not be decoded',
+        hint: 'The file may be truncated or corrupt. Re-export it from Lightroom.'
+    },
+    IMAGE_TOO_LARGE: {
+        status: 422,
+        retryable: false,
+        message: 'The image has too many pixels to process',
+        hint: 'Send a downscaled preview instead of the full-resolution file.'
+    },
+
+    // Local file access
+    PATH_ACCESS_DISABLED: {
+        status: 403,
+        retryable: false,
+        message: 'Path-based access is disabled',
+        hint: 'Set ALLOWED_ROOTS on the bridge to the folders holding your catalog photos.'
+    },
+    PATH_FORBIDDEN: {
+        status: 403,
+        retryable: false,
+        message: 'Path is outside the allowed roots',
+        hint: 'Add the photo folder to ALLOWED_ROOTS on the bridge.'
+    },
+    INVALID_PATH: {
+        status: 400,
+        retryable: false,
+        message: 'Invalid file path',
+        hint: 'Send absolute paths to image files.'
+    },
+    FILE_NOT_FOUND: {
+        status: 404,
+        retryable: false,
+        message: 'File not found',
+        hint: 'The photo may have been moved or is on a disconnected drive.'
+    },
+
+    // Lookups
+    NOT_FOUND: {
+        status: 404,
+        retryable: false,
+        message: 'Route not found',
+        hint: 'The bridge may be older than the plugin. Update both to the same release.'
+    },
+    JOB_NOT_FOUND: {
+        status: 404,
+        retryable: false,
+        message: 'Job not found',
+        hint: 'Finished jobs are discarded after JOB_RETENTION_MS. Resubmit the batch.'
+    },
+
+    // Models and inference
+    MODEL_UNKNOWN: {
+        status: 404,
+        retryable: false,
+        message: 'Unknown model',
+        hint: 'GET /models lists the models this bridge knows about.'
+    },
+    MODEL_NOT_FOUND: {
+        status: 503,
+        retryable: false,
+        message: 'Model file not found',
+        hint: "Run 'npm run install-models' in the node-bridge folder, then restart the bridge."
+    },
+    MODEL_NOT_LOADED: {
+        status: 503,
+        retryable: false,
+        message: 'Model not loaded',
+        hint: 'Load the model with POST /models/load or restart the bridge.'
+    },
+    MODEL_LOAD_FAILED: {
+        status: 500,
+        retryable: false,
+        message: 'Model failed to load',
+        hint: 'The model file may be corrupt. Reinstall it with npm run install-models.'
+    },
+    INFERENCE_FAILED: {
+        status: 500,
+        retryable: true,
+        message: 'Inference failed',
+        hint: 'Retry the photo. If it keeps failing, check the bridge logs.'
+    },
+
+    // Configuration
+    CONFIG_INVALID: {
+        status: 422,
+        retryable: false,
+        message: 'Configuration is invalid',
+        hint: 'Fix the reported settings in the config file or environment; the previous settings stay in effect.'
+    },
+
+    // Capacity and upstream services
+    BRIDGE_BUSY: {
+        status: 429,
+        retryable: true,
+        message: 'Bridge is busy',
+        hint: 'Wait for the Retry-After interval, then resend the request.'
+    },
+    FEEDBACK_UNAVAILABLE: {
+        status: 502,
+        retryable: true,
+        message: 'Feedback service unavailable',
+        hint: 'Check the network connection and the Google credentials configured for the bridge.'
+    },
+    SHUTTING_DOWN: {
+        status: 503,
+        retryable: true,
+        message: 'Bridge is shutting down',
+        hint: 'Wait for the bridge to restart, then resend the request.'
+    },
+    INTERNAL_ERROR: {
+        status: 500,
+        retryable: false,
+        message: 'Internal server error',
+        hint: 'Check the bridge logs for details.'
+    }
+};
+
+// sharp/libvips messages for inputs that are not images at all, or that are damaged
+const UNSUPPORTED_FORMAT_PATTERN = /unsupported image format/i;
+const PIXEL_LIMIT_PATTERN = /pixel limit/i;
+const TRUNCATED_PATTERN = /premature end|truncated|unexpected end|libspng read error/i;
+const DECODE_FAILURE_PATTERN = /vips|premature end|corrupt|truncated|bad seek|input buffer is empty|invalid (sos|marker|jpeg|png)|not a (jpeg|png|tiff)/i;
+
+class BridgeError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} message - Specific message; defaults to the code's generic one
+     * @param {Object} options - { details, retryAfter, cause }
+     */
+    constructor(code, message, options = {}) {
+        const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(message || definition.message);
+
+        this.name = 'BridgeError';
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = definition.status;
+        this.retryable = definition.retryable;
+        this.hint = definition.hint;
+        this.details = options.details;
+        this.retryAfter = options.retryAfter;
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+
+    /**
+     * Map any thrown error (sharp, onnxruntime, multer, body-parser...) onto the taxonomy
+     * @param {Error} error - Error to classify
+     * @returns {BridgeError}
+     */
+    static from(error) {
+        if (error instanceof BridgeError) {
+            return error;
+        }
+
+        const message = (error && error.message) || String(error);
+        const wrap = (code, wrappedMessage = message, options = {}) =>
+            new BridgeError(code, wrappedMessage, { cause: error, ...options });
+
+        if (error && error.name === 'MulterError') {
+            const details = [{ field: error.field || '(files)', message }];
+            switch (error.code) {
+                case 'LIMIT_FILE_SIZE':
+                case 'LIMIT_FIELD_VALUE':
+                    return wrap('PAYLOAD_TOO_LARGE', message, { details });
+                case 'LIMIT_FILE_COUNT':
+                    return wrap('TOO_MANY_FILES', message, { details });
+                default:
+                    return wrap('VALIDATION_FAILED', 'Validation failed', { details });
+            }
+        }
+
+        if (error && error.type === 'entity.parse.failed') {
+            return wrap('VALIDATION_FAILED', 'Validation failed', {
+                details: [{ field: '(body)', message: 'Request body is not valid JSON' }]
+            });
+        }
+
+        if (error && error.type === 'entity.too.large') {
+            return wrap('PAYLOAD_TOO_LARGE');
+        }
+
+        if (UNSUPPORTED_FORMAT_PATTERN.test(message)) {
+            return wrap('UNSUPPORTED_FORMAT');
+        }
+        if (PIXEL_LIMIT_PATTERN.test(message)) {
+            return wrap('IMAGE_TOO_LARGE');
+        }
+        if (TRUNCATED_PATTERN.test(message)) {
+            return wrap('IMAGE_DECODE_FAILED', `The image file is truncated: ${message}`);
+        }
+        if (DECODE_FAILURE_PATTERN.test(message)) {
+            return wrap('IMAGE_DECODE_FAILED');
+        }
+
+        return wrap('INTERNAL_ERROR');
+    }
+
+    toJSON() {
+        const body = {
+            error: this.message,
+            code: this.code,
+            retryable: this.retryable,
+            hint: this.hint
+        };
+
+        if (this.details) {
+            body.details = this.details;
+        }
+        if (this.retryAfter) {
+            body.retry_after = this.retryAfter;
+        }
+
+        return body;
+    }
+}
+
+BridgeError.ERROR_CODES = ERROR_CODES;
+
+module.exports = BridgeError;
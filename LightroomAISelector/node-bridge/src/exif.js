@@ -0,0 +1,165 @@
+/**
+ * EXIF Module
+ * Reads the camera and exposure settings scoring cares about from EXIF data:
+ * either the block sharp returns in metadata().exif, or a TIFF-based file
+ * (TIFF, DNG, CR2, NEF...) whose IFD0 holds the same tags
+ */
+
+const TiffReader = require('./tiff-reader');
+
+const TAGS = {
+    MAKE: 0x010F,
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    DATE_TIME: 0x0132,
+    EXIF_IFD: 0x8769,
+    EXPOSURE_TIME: 0x829A,
+    F_NUMBER: 0x829D,
+    ISO: 0x8827,
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    SHUTTER_SPEED_VALUE: 0x9201, // APEX
+    APERTURE_VALUE: 0x9202, // APEX
+    FOCAL_LENGTH: 0x920A,
+    COLOR_SPACE: 0xA001,
+    INTEROP_IFD: 0xA005,
+    FOCAL_LENGTH_35MM: 0xA405,
+    LENS_MAKE: 0xA433,
+    LENS_MODEL: 0xA434,
+    INTEROP_INDEX: 0x0001
+};
+
+// sharp prefixes the TIFF data with the APP1 identifier
+const EXIF_HEADER = 'Exif\0\0';
+
+// ColorSpace values: 1 is sRGB, 0xFFFF "uncalibrated"; some cameras write 2 for Adobe RGB
+const COLOR_SPACE_UNCALIBRATED = 0xFFFF;
+const COLOR_SPACE_ADOBE_RGB = 2;
+
+/**
+ * IFD0, EXIF and interoperability IFDs of an EXIF block or TIFF file
+ * @returns {Object|null} { reader, ifd0, exif, interop }, null when not EXIF
+ */
+function readIfds(buffer) {
+    if (!buffer) {
+        return null;
+    }
+    const tiff = buffer.toString('latin1', 0, EXIF_HEADER.length) === EXIF_HEADER
+        ? buffer.subarray(EXIF_HEADER.length)
+        : buffer;
+    if (!TiffReader.isTiff(tiff)) {
+        return null;
+    }
+
+    try {
+        const reader = new TiffReader(tiff);
+        const ifd0 = reader.readIfd(reader.u32(4)).entries;
+        const exif = reader.readPointedIfd(ifd0, TAGS.EXIF_IFD);
+        return { reader, ifd0, exif, interop: reader.readPointedIfd(exif, TAGS.INTEROP_IFD) };
+    } catch {
+        // Truncated or malformed EXIF is treated as missing
+        return null;
+    }
+}
+
+// "2024:06:01 14:03:22" (+ "+02:00") -> "2024-06-01T14:03:22+02:00"
+function toIsoTimestamp(dateTime, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`;
+}
+
+// Exposure time as photographers write it: 1/250, 0.5s, 30s
+function formatShutterSpeed(seconds) {
+    if (!seconds) {
+        return null;
+    }
+    return seconds < 0.5 ? `1/${Math.round(1 / seconds)}` : `${Number(seconds.toFixed(1))}s`;
+}
+
+// Every field parse() returns, for images without EXIF data
+const EMPTY = Object.freeze({
+    make: null,
+    model: null,
+    lens: null,
+    iso: null,
+    exposure_time: null,
+    shutter_speed: null,
+    aperture: null,
+    focal_length: null,
+    focal_length_35mm: null,
+    captured_at: null,
+    orientation: null
+});
+
+const round = (value, digits) => (value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * Camera, lens and exposure settings; fields the file does not record are null
+ * @param {Buffer} buffer - EXIF block (sharp metadata().exif) or TIFF-based file
+ * @returns {Object|null} null when there is no readable EXIF data
+ */
+function parse(buffer) {
+    const ifds = readIfds(buffer);
+    if (!ifds) {
+        return null;
+    }
+    const { reader, ifd0, exif } = ifds;
+
+    // Fall back to the APEX values when the plain ones are missing
+    const shutterApex = reader.rational(exif, TAGS.SHUTTER_SPEED_VALUE);
+    const apertureApex = reader.rational(exif, TAGS.APERTURE_VALUE);
+    const exposureTime = reader.rational(exif, TAGS.EXPOSURE_TIME) ??
+        (shutterApex === undefined ? undefined : 2 ** -shutterApex);
+    const aperture = reader.rational(exif, TAGS.F_NUMBER) ??
+        (apertureApex === undefined ? undefined : Math.SQRT2 ** apertureApex);
+
+    const make = reader.string(ifd0, TAGS.MAKE);
+    const lensModel = reader.string(exif, TAGS.LENS_MODEL);
+    const lensMake = reader.string(exif, TAGS.LENS_MAKE);
+
+    return {
+        make: make || null,
+        model: reader.string(ifd0, TAGS.MODEL) || null,
+        lens: lensModel && lensMake && !lensModel.startsWith(lensMake) ? `${lensMake} ${lensModel}` : lensModel || null,
+        iso: reader.value(exif, TAGS.ISO) || null,
+        exposure_time: exposureTime === undefined ? null : exposureTime,
+        shutter_speed: formatShutterSpeed(exposureTime),
+        aperture: round(aperture, 1),
+        focal_length: round(reader.rational(exif, TAGS.FOCAL_LENGTH), 1),
+        focal_length_35mm: reader.value(exif, TAGS.FOCAL_LENGTH_35MM) || null,
+        captured_at: toIsoTimestamp(
+            reader.string(exif, TAGS.DATE_TIME_ORIGINAL) || reader.string(ifd0, TAGS.DATE_TIME),
+            reader.string(exif, TAGS.OFFSET_TIME_ORIGINAL)),
+        orientation: reader.value(ifd0, TAGS.ORIENTATION) || null
+    };
+}
+
+/**
+ * Whether EXIF alone declares Adobe RGB. Cameras set to Adobe RGB often embed
+ * no ICC profile and only mark the colour space here, as "uncalibrated" with
+ * the R03 (DCF option file) interoperability index, so sharp treats the
+ * pixels as sRGB.
+ */
+function isAdobeRgb(buffer) {
+    const ifds = readIfds(buffer);
+    if (!ifds) {
+        return false;
+    }
+    const { reader, exif, interop } = ifds;
+
+    const colorSpace = reader.value(exif, TAGS.COLOR_SPACE);
+    return colorSpace === COLOR_SPACE_ADOBE_RGB ||
+        (colorSpace === COLOR_SPACE_UNCALIBRATED && reader.string(interop, TAGS.INTEROP_INDEX) === 'R03');
+}
+
+module.exports = {
+    EMPTY,
+    parse,
+    isAdobeRgb,
+    formatShutterSpeed
+};
@@ -0,0 +1,154 @@
+/**
+ * Face Detector Module
+ * Post-processing for the UltraFace (version-RFB-320) face detector: SSD prior
+ * boxes, box decoding, confidence filtering and non-maximum suppression, and
+ * mapping detections from the 320x240 letterbox the model sees (see
+ * image-tasks.js preprocessFaceDetection) back to pixels of the original image.
+ */
+
+// Model input
+const INPUT_WIDTH = 320;
+const INPUT_HEIGHT = 240;
+
+// Anchor layout UltraFace was trained with: one feature map per stride, with
+// prior boxes of these sizes (in input pixels) centred on every cell
+const STRIDES = [8, 16, 32, 64];
+const MIN_BOXES = [[10, 16, 24], [32, 48], [64, 96], [128, 192, 256]];
+
+// Box regression variances of the SSD encoding
+const CENTER_VARIANCE = 0.1;
+const SIZE_VARIANCE = 0.2;
+
+// Most confident candidates kept for suppression
+const MAX_CANDIDATES = 200;
+
+const clamp = (value, max = 1) => Math.min(max, Math.max(0, value));
+
+let priorBoxes = null;
+
+/**
+ * Prior boxes in centre form (cx, cy, w, h), as fractions of the input size
+ * @returns {Float32Array} Four values per prior; 4420 priors at 320x240
+ */
+function priors() {
+    if (!priorBoxes) {
+        const values = [];
+        STRIDES.forEach((stride, level) => {
+            const rows = Math.ceil(INPUT_HEIGHT / stride);
+            const cols = Math.ceil(INPUT_WIDTH / stride);
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    for (const size of MIN_BOXES[level]) {
+                        values.push(
+                            clamp((col + 0.5) * stride / INPUT_WIDTH),
+                            clamp((row + 0.5) * stride / INPUT_HEIGHT),
+                            clamp(size / INPUT_WIDTH),
+                            clamp(size / INPUT_HEIGHT));
+                    }
+                }
+            }
+        });
+        priorBoxes = Float32Array.from(values);
+    }
+    return priorBoxes;
+}
+
+/**
+ * Whether the model already decoded its boxes. The reference ONNX export
+ * decodes them against the priors inside the graph and returns corners
+ * (x1, y1, x2, y2); other exports return the raw SSD offsets. Decoded boxes
+ * always have a positive size, which raw offsets never satisfy at every prior.
+ */
+function hasCornerBoxes(boxes) {
+    for (let i = 0; i < boxes.length; i += 4) {
+        if (boxes[i + 2] < boxes[i] || boxes[i + 3] < boxes[i + 1]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Corners of one prior's box from its raw SSD offsets (dx, dy, dw, dh)
+ */
+function decodeBox(boxes, index) {
+    const anchors = priors();
+    const offset = index * 4;
+    const [priorX, priorY, priorWidth, priorHeight] = anchors.subarray(offset, offset + 4);
+
+    const centerX = priorX + boxes[offset] * CENTER_VARIANCE * priorWidth;
+    const centerY = priorY + boxes[offset + 1] * CENTER_VARIANCE * priorHeight;
+    const width = priorWidth * Math.exp(boxes[offset + 2] * SIZE_VARIANCE);
+    const height = priorHeight * Math.exp(boxes[offset + 3] * SIZE_VARIANCE);
+    return [centerX - width / 2, centerY - height / 2, centerX + width / 2, centerY + height / 2];
+}
+
+/**
+ * Box as fractions of the model input -> original image pixels, clamped to the image
+ * @param {Object} letterbox - { width, height, scaleX, scaleY, padX, padY }
+ */
+function toImagePixels([x1, y1, x2, y2], { width, height, scaleX, scaleY, padX, padY }) {
+    const x = value => clamp((value * INPUT_WIDTH - padX) / scaleX, width);
+    const y = value => clamp((value * INPUT_HEIGHT - padY) / scaleY, height);
+    return [x(x1), y(y1), x(x2), y(y2)];
+}
+
+function area([x1, y1, x2, y2]) {
+    return Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+}
+
+function intersectionOverUnion(a, b) {
+    const intersection = area([Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])]);
+    return intersection > 0 ? intersection / (area(a) + area(b) - intersection) : 0;
+}
+
+/**
+ * Faces in UltraFace's outputs
+ * @param {Float32Array} scores - [1, N, 2] background and face score per prior
+ * @param {Float32Array} boxes - [1, N, 4] corner boxes or raw offsets per prior
+ * @param {Object} letterbox - From preprocessFaceDetection(): how the image was fitted into the input
+ * @param {Object} options - { confidenceThreshold, iouThreshold }
+ * @returns {Array<Object>} { bbox: [x1, y1, x2, y2] in original image pixels, confidence },
+ *   most confident first
+ */
+function detect(scores, boxes, letterbox, { confidenceThreshold, iouThreshold }) {
+    const count = priors().length / 4;
+    if (scores.length !== count * 2 || boxes.length !== count * 4) {
+        throw new Error(`Expected scores and boxes for ${count} priors, got ${scores.length / 2} and ${boxes.length / 4}`);
+    }
+
+    // Raw exports also leave the scores as logits rather than softmax probabilities
+    const decoded = hasCornerBoxes(boxes);
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+        const confidence = decoded ? scores[i * 2 + 1] : 1 / (1 + Math.exp(scores[i * 2] - scores[i * 2 + 1]));
+        if (confidence <= confidenceThreshold) {
+            continue;
+        }
+
+        const corners = decoded ? Array.from(boxes.subarray(i * 4, i * 4 + 4)) : decodeBox(boxes, i);
+        const bbox = toImagePixels(corners, letterbox);
+        // Detections entirely in the letterbox padding have nothing left
+        if (area(bbox) > 0) {
+            candidates.push({ bbox, confidence });
+        }
+    }
+
+    // Hard NMS: keep a box unless a more confident one overlaps it too much
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const faces = [];
+    for (const candidate of candidates.slice(0, MAX_CANDIDATES)) {
+        if (faces.every(face => intersectionOverUnion(face.bbox, candidate.bbox) <= iouThreshold)) {
+            faces.push(candidate);
+        }
+    }
+
+    return faces.map(face => ({ ...face, bbox: face.bbox.map(Math.round) }));
+}
+
+module.exports = {
+    INPUT_WIDTH,
+    INPUT_HEIGHT,
+    priors,
+    detect
+};
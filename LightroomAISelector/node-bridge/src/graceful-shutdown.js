@@ -0,0 +1,176 @@
+/**
+ * Graceful Shutdown Module
+ * On SIGTERM/SIGINT, stops accepting work, lets in-flight requests and jobs
+ * finish within a deadline (interrupting and checkpointing what is left),
+ * releases the model sessions and flushes the log files last, so everything
+ * logged on the way out reaches them
+ */
+
+const winston = require('winston');
+const BridgeError = require('./errors');
+
+const IDLE_POLL_MS = 100;
+const LOG_FLUSH_TIMEOUT_MS = 5000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GracefulShutdown {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - shutdown.timeoutMs
+     * @param {Object} options - { interruptGraceMs }
+     */
+    constructor(logger, config, options = {}) {
+        this.logger = logger;
+        this.config = config;
+        // Once interrupted, work gets this long to stop at the next photo boundary
+        this.interruptGraceMs = options.interruptGraceMs || 5000;
+
+        this.server = null;
+        this.inFlight = new Set();
+        this.shuttingDown = false;
+        this.deadlineReached = false;
+        this.completion = null;
+    }
+
+    get timeoutMs() {
+        return this.config.get('shutdown.timeoutMs');
+    }
+
+    /**
+     * @param {http.Server} server - Server returned by app.listen()
+     */
+    attach(server) {
+        this.server = server;
+    }
+
+    /**
+     * Express middleware tracking in-flight requests and rejecting new ones
+     * with 503 SHUTTING_DOWN once shutdown has begun
+     */
+    middleware() {
+        return (req, res, next) => {
+            // Rejections count too: they are still logged when sent, which must
+            // happen before the logs are flushed
+            this.inFlight.add(res);
+            res.on('close', () => this.inFlight.delete(res));
+
+            if (this.shuttingDown) {
+                res.set('Connection', 'close');
+                return next(new BridgeError('SHUTTING_DOWN'));
+            }
+            next();
+        };
+    }
+
+    /**
+     * Shut down once; later calls return the same promise
+     * @param {string} signal - Signal that triggered the shutdown, for the logs
+     * @param {Object} steps - { isIdle, interrupt, checkpoint, release }
+     * @returns {Promise<void>} Resolves when it is safe to exit
+     */
+    shutdown(signal, steps = {}) {
+        if (!this.completion) {
+            this.completion = this.run(signal, steps);
+        }
+        return this.completion;
+    }
+
+    async run(signal, { isIdle = () => true, interrupt, checkpoint, release }) {
+        this.shuttingDown = true;
+        const startedAt = Date.now();
+        this.logger.info(`${signal} received, draining ${this.inFlight.size} in-flight requests (deadline ${this.timeoutMs} ms)`);
+
+        // Refuse new connections; idle keep-alive sockets are closed right away
+        if (this.server) {
+            this.server.close();
+            this.server.closeIdleConnections();
+        }
+
+        const idle = () => this.inFlight.size === 0 && isIdle();
+
+        if (!await this.waitUntil(idle, this.timeoutMs)) {
+            this.deadlineReached = true;
+            this.logger.warn(`Shutdown deadline reached with ${this.inFlight.size} requests in flight, interrupting remaining work`);
+            if (interrupt) {
+                interrupt();
+            }
+
+            if (!await this.waitUntil(idle, this.interruptGraceMs)) {
+                this.logger.warn(`${this.inFlight.size} requests did not stop in time and will be dropped`);
+            }
+        }
+
+        // Keep-alive sockets could still deliver requests, to be logged after the flush
+        if (this.server) {
+            this.server.closeAllConnections();
+        }
+
+        if (checkpoint) {
+            try {
+                await checkpoint();
+            } catch (error) {
+                this.logger.error('Failed to checkpoint jobs:', error);
+            }
+        }
+
+        this.logger.info(`Drained in ${Date.now() - startedAt} ms, releasing resources`);
+        if (release) {
+            try {
+                await release();
+            } catch (error) {
+                this.logger.error('Failed to release resources during shutdown:', error);
+            }
+        }
+
+        await this.flushLogs();
+    }
+
+    /**
+     * Poll until condition() holds
+     * @returns {Promise<boolean>} false if timeoutMs passed first
+     */
+    async waitUntil(condition, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (!condition()) {
+            if (Date.now() >= deadline) {
+                return false;
+            }
+            await delay(IDLE_POLL_MS);
+        }
+
+        return true;
+    }
+
+    /**
+     * End the logger and wait until every log file has been written out.
+     * Nothing may be logged through this logger afterwards.
+     */
+    async flushLogs() {
+        const files = this.logger.transports.filter(transport => transport instanceof winston.transports.File);
+
+        const flushed = Promise.all(files.map(transport => new Promise(resolve => {
+            transport.once('finish', () => {
+                // The transport finishes before its file stream has written everything
+                const stream = transport._dest;
+                if (!stream || stream.writableFinished) {
+                    return resolve();
+                }
+                stream.once('finish', resolve);
+                stream.once('error', resolve);
+            });
+        })));
+
+        this.logger.end();
+
+        let timer;
+        await Promise.race([
+            flushed,
+            new Promise(resolve => { timer = setTimeout(resolve, LOG_FLUSH_TIMEOUT_MS); })
+        ]);
+        clearTimeout(timer);
+    }
+}
+
+module.exports = GracefulShutdown;
@@ -0,0 +1,198 @@
+/**
+ * Image Format Module
+ * Identifies image files by their leading magic bytes rather than by the
+ * file name or the MIME type a client claims, and reports which formats the
+ * installed image library can decode
+ */
+
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const BridgeError = require('./errors');
+
+// Leading bytes needed to tell formats apart; the brands of HEIF-family ftyp
+// boxes come well within them
+const SNIFF_BYTES = 64;
+
+// ISO-BMFF brands (ftyp box) of the HEIF family. AVIF files often list HEIF
+// brands such as mif1 too, so AVIF brands are checked first.
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+const ascii = text => [...Buffer.from(text, 'latin1')];
+
+/**
+ * Major and compatible brands of an ISO-BMFF file, [] for anything else
+ */
+function fileTypeBrands(buffer) {
+    if (!startsWith(buffer, ascii('ftyp'), 4)) {
+        return [];
+    }
+
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    // Major brand, minor version, then the compatible brands
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+        brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    return brands;
+}
+
+function hasBrand(buffer, accepted) {
+    return fileTypeBrands(buffer).some(brand => accepted.includes(brand));
+}
+
+// HEIF decoding depends on how libvips was built: the prebuilt binaries ship
+// AV1 (AVIF) but not HEVC (HEIC), and report only the suffixes they decode
+function heifSuffixes() {
+    const heif = sharp.format.heif;
+    return heif && heif.input.buffer ? heif.input.fileSuffix || [] : [];
+}
+
+/**
+ * Accepted formats, in sniffing order
+ *  matches   - (buffer) => whether the content is this format
+ *  available - () => whether this bridge can decode it
+ *  via       - how it is analysed, when not decoded directly
+ */
+const FORMATS = [
+    {
+        id: 'jpeg',
+        name: 'JPEG',
+        extensions: ['jpg', 'jpeg'],
+        mimeTypes: ['image/jpeg'],
+        matches: buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF]),
+        available: () => true
+    },
+    {
+        id: 'png',
+        name: 'PNG',
+        extensions: ['png'],
+        mimeTypes: ['image/png'],
+        matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        available: () => true
+    },
+    {
+        // Little- and big-endian; DNG and most camera raw formats are TIFF
+        // containers, told apart by raw-preview's isRaw()
+        id: 'tiff',
+        name: 'TIFF',
+        extensions: ['tif', 'tiff'],
+        mimeTypes: ['image/tiff'],
+        matches: buffer => startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A]),
+        available: () => true
+    },
+    {
+        id: 'webp',
+        name: 'WebP',
+        extensions: ['webp'],
+        mimeTypes: ['image/webp'],
+        matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8),
+        available: () => Boolean(sharp.format.webp && sharp.format.webp.input.buffer)
+    },
+    {
+        id: 'avif',
+        name: 'AVIF',
+        extensions: ['avif'],
+        mimeTypes: ['image/avif'],
+        matches: buffer => hasBrand(buffer, AVIF_BRANDS),
+        available: () => heifSuffixes().includes('.avif')
+    },
+    {
+        id: 'heic',
+        name: 'HEIC',
+        extensions: ['heic', 'heif'],
+        mimeTypes: ['image/heic', 'image/heif'],
+        matches: buffer => hasBrand(buffer, HEIC_BRANDS),
+        available: () => heifSuffixes().includes('.heic')
+    },
+    {
+        // Raw formats with their own header: Fujifilm RAF, Panasonic RW2, Olympus ORF
+        id: 'raw',
+        name: 'Camera raw',
+        extensions: ['dng', 'cr2', 'nef', 'arw', 'rw2', 'raf', 'orf'],
+        mimeTypes: ['image/x-adobe-dng', 'image/x-canon-cr2', 'image/x-nikon-nef', 'image/x-sony-arw',
+            'image/x-panasonic-rw2', 'image/x-fuji-raf', 'image/x-olympus-orf'],
+        matches: buffer => startsWith(buffer, ascii('FUJIFILMCCD-RAW ')) ||
+            startsWith(buffer, [0x49, 0x49, 0x55, 0x00]) ||
+            startsWith(buffer, ascii('IIRO')) || startsWith(buffer, ascii('IIRS')) || startsWith(buffer, ascii('MMOR')),
+        available: () => true,
+        via: 'embedded JPEG preview'
+    }
+];
+
+/**
+ * @param {Buffer} buffer - File contents, or at least their first bytes
+ * @returns {string|null} Format id, or null when no signature matches
+ */
+function sniffFormat(buffer) {
+    const match = FORMATS.find(format => format.matches(buffer));
+    return match ? match.id : null;
+}
+
+/**
+ * First SNIFF_BYTES of a file, for sniffFormat() and assertSupportedImage()
+ * without reading the whole file
+ */
+async function readHead(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Accepted input formats and whether this bridge can decode each one
+ * @returns {Array<Object>} { id, name, extensions, mime_types, available, via? }
+ */
+function listFormats() {
+    return FORMATS.map(format => ({
+        id: format.id,
+        name: format.name,
+        extensions: format.extensions,
+        mime_types: format.mimeTypes,
+        available: format.available(),
+        ...(format.via ? { via: format.via } : {})
+    }));
+}
+
+/**
+ * File extensions of the formats this bridge can decode
+ */
+function acceptedExtensions() {
+    return FORMATS.filter(format => format.available()).flatMap(format => format.extensions);
+}
+
+/**
+ * @param {Buffer} buffer - File contents, or at least their first SNIFF_BYTES
+ * @returns {string} Format id
+ * @throws {BridgeError} UNSUPPORTED_FORMAT when the contents are not an accepted
+ *   image, or are one this bridge's image library cannot decode
+ */
+function assertSupportedImage(buffer, filename) {
+    const format = FORMATS.find(candidate => candidate.matches(buffer));
+    if (!format) {
+        throw new BridgeError('UNSUPPORTED_FORMAT',
+            `${filename || 'File'} is not a JPEG, PNG, TIFF, WebP, AVIF, HEIC or camera raw image (checked by content, not by name)`);
+    }
+    if (!format.available()) {
+        throw new BridgeError('UNSUPPORTED_FORMAT',
+            `${filename || 'File'} is ${format.name}, which this bridge's image library cannot decode (see /v1/formats)`);
+    }
+    return format.id;
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    sniffFormat,
+    readHead,
+    listFormats,
+    acceptedExtensions,
+    assertSupportedImage
+};
@@ -1,195 +1,147 @@
 /**
  * Image Processing Module
- * Handles image preprocessing and computer vision operations
+ * Handles image preprocessing and computer vision operations. The pixel work
+ * itself runs on the worker pool (see image-tasks.js); only header reads and
+ * feature comparison happen on the main thread.
  */
 
 const sharp = require('sharp');
+const Exif = require('./exif');
 
 class ImageProcessor {
-    constructor(logger) {
+    /**
+     * @param {Object} logger
+     * @param {WorkerPool} workerPool - Runs decoding, preprocessing and CV tasks
+     * @param {Metrics} metrics - Optional preprocessing timers
+     */
+    constructor(logger, workerPool, metrics = null) {
         this.logger = logger;
+        this.workerPool = workerPool;
+        this.metrics = metrics;
     }
 
-    async preprocessForNIMA(imageBuffer) {
-        try {
-            // NIMA expects 224x224 RGB image, normalized to [0, 1]
-            const processed = await sharp(imageBuffer)
-                .resize(224, 224, {
-                    fit: 'cover',
-                    position: 'center'
-                })
-                .removeAlpha()
-                .raw()
-                .toBuffer();
-
-            // Convert to float32 array and normalize
-            const pixels = new Float32Array(processed.length);
-            for (let i = 0; i < processed.length; i++) {
-                pixels[i] = processed[i] / 255.0;
-            }
+    /**
+     * Start timing a preprocessing step
+     * @returns {Function} Call when the step finishes
+     */
+    startTimer(step) {
+        return this.metrics ? this.metrics.timePreprocessing(step) : () => {};
+    }
 
-            // Reshape to CHW format (channels, height, width)
-            const reshapedData = this.reshapeToCHW(pixels, 224, 224, 3);
-            
-            return reshapedData;
+    /**
+     * Decode an encoded image once into raw RGB pixels.
+     * The result can be passed to any method below instead of the encoded buffer;
+     * its pixels are in shared memory, so worker tasks read them without copying.
+     * @param {Buffer|string} imageBuffer - Encoded image (JPEG, PNG, TIFF...) or its path
+     * @returns {Promise<Object>} Decoded image ({ data, info })
+     */
+    async decode(imageBuffer) {
+        try {
+            const startedAt = Date.now();
+            const endTimer = this.startTimer('decode');
+            const decoded = await this.workerPool.run('decode', imageBuffer);
+            endTimer();
+
+            this.logger.debug(`Decoded ${decoded.info.width}x${decoded.info.height} image`, {
+                durationMs: Date.now() - startedAt
+            });
+            return decoded;
         } catch (error) {
-            this.logger.error('Error preprocessing image for NIMA:', error);
+            this.logger.error('Error decoding image:', error);
             throw error;
         }
     }
 
-    async preprocessForFaceDetection(imageBuffer) {
-        try {
-            // BlazeFace expects 128x128 RGB image
-            const processed = await sharp(imageBuffer)
-                .resize(128, 128, {
-                    fit: 'cover',
-                    position: 'center'
-                })
-                .removeAlpha()
-                .raw()
-                .toBuffer();
+    isDecoded(input) {
+        return !Buffer.isBuffer(input) && input && input.data && input.info;
+    }
 
-            // Convert to float32 array and normalize
-            const pixels = new Float32Array(processed.length);
-            for (let i = 0; i < processed.length; i++) {
-                pixels[i] = processed[i] / 255.0;
-            }
+    /**
+     * Pixel count in megapixels, read from the image header without decoding
+     * @returns {Promise<number>} Megapixels, or 0 if the header cannot be read
+     */
+    async getMegapixels(input) {
+        if (this.isDecoded(input)) {
+            return (input.info.width * input.info.height) / 1e6;
+        }
 
-            // Reshape to CHW format
-            const reshapedData = this.reshapeToCHW(pixels, 128, 128, 3);
-            
-            return reshapedData;
+        try {
+            // Only the header is read, so even a decompression bomb is safe to measure
+            const { width, height } = await sharp(input, { limitInputPixels: false }).metadata();
+            return (width * height) / 1e6;
         } catch (error) {
-            this.logger.error('Error preprocessing image for face detection:', error);
-            throw error;
+            // Let the actual decode report the problem
+            return 0;
         }
     }
 
-    reshapeToCHW(data, height, width, channels) {
-        // Convert from HWC (height, width, channels) to CHW (channels, height, width)
-        const chw = new Float32Array(data.length);
-        let idx = 0;
-        
-        for (let c = 0; c < channels; c++) {
-            for (let h = 0; h < height; h++) {
-                for (let w = 0; w < width; w++) {
-                    chw[idx++] = data[h * width * channels + w * channels + c];
-                }
-            }
-        }
-        
-        return chw;
+    /**
+     * Camera and exposure settings from EXIF, with the dimensions of the image
+     * once turned upright, read from the header without decoding
+     * @returns {Promise<Object>} Fields of exif.js parse() (null when not recorded), width, height
+     */
+    async readMetadata(imageBuffer) {
+        const { width, height, orientation, exif } = await sharp(imageBuffer, { limitInputPixels: false }).metadata();
+
+        // TIFF files keep their EXIF tags in IFD0 rather than in an EXIF block
+        // (TIFFs are always read into memory, see server.js readImage)
+        const fields = Exif.parse(exif) || (Buffer.isBuffer(imageBuffer) ? Exif.parse(imageBuffer) : null);
+        const sideways = orientation >= 5; // Orientations 5-8 swap width and height
+
+        return {
+            ...Exif.EMPTY,
+            ...fields,
+            width: sideways ? height : width,
+            height: sideways ? width : height
+        };
     }
 
-    async calculateBlur(imageBuffer) {
+    async preprocessForNIMA(imageBuffer) {
         try {
-            // Convert to grayscale and get raw pixels
-            const { data, info } = await sharp(imageBuffer)
-                .grayscale()
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-
-            // Calculate Laplacian variance (measure of blur)
-            const laplacian = this.applyLaplacianKernel(data, info.width, info.height);
-            const variance = this.calculateVariance(laplacian);
-            
-            return variance;
+            const endTimer = this.startTimer('nima');
+            const processed = await this.workerPool.run('preprocessNIMA', imageBuffer);
+            endTimer();
+            return processed;
         } catch (error) {
-            this.logger.error('Error calculating blur:', error);
+            this.logger.error('Error preprocessing image for NIMA:', error);
             throw error;
         }
     }
 
-    applyLaplacianKernel(pixels, width, height) {
-        // Laplacian kernel for edge detection
-        const kernel = [
-            [0, 1, 0],
-            [1, -4, 1],
-            [0, 1, 0]
-        ];
-        
-        const result = new Float32Array((width - 2) * (height - 2));
-        let idx = 0;
-        
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                let sum = 0;
-                
-                for (let ky = 0; ky < 3; ky++) {
-                    for (let kx = 0; kx < 3; kx++) {
-                        const pixelIdx = (y + ky - 1) * width + (x + kx - 1);
-                        sum += pixels[pixelIdx] * kernel[ky][kx];
-                    }
-                }
-                
-                result[idx++] = Math.abs(sum);
-            }
+    async preprocessForFaceDetection(imageBuffer) {
+        try {
+            const endTimer = this.startTimer('face_detection');
+            const processed = await this.workerPool.run('preprocessFaceDetection', imageBuffer);
+            endTimer();
+            return processed;
+        } catch (error) {
+            this.logger.error('Error preprocessing image for face detection:', error);
+            throw error;
         }
-        
-        return result;
     }
 
-    calculateVariance(data) {
-        const mean = data.reduce((sum, val) => sum + val, 0) / data.length;
-        const variance = data.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / data.length;
-        return variance;
+    /**
+     * Tiled sharpness measurement (see image-tasks.js blur)
+     * @param {Object} options - { workingSize, gridSize }
+     */
+    async calculateBlur(imageBuffer, options = {}) {
+        try {
+            return await this.workerPool.run('blur', imageBuffer, options);
+        } catch (error) {
+            this.logger.error('Error calculating blur:', error);
+            throw error;
+        }
     }
 
     async analyzeHistogram(imageBuffer) {
         try {
-            const { data, info } = await sharp(imageBuffer)
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-
-            const histogram = {
-                r: new Array(256).fill(0),
-                g: new Array(256).fill(0),
-                b: new Array(256).fill(0)
-            };
-
-            // Build histogram
-            for (let i = 0; i < data.length; i += info.channels) {
-                histogram.r[data[i]]++;
-                if (info.channels > 1) histogram.g[data[i + 1]]++;
-                if (info.channels > 2) histogram.b[data[i + 2]]++;
-            }
-
-            // Analyze histogram for exposure issues
-            const analysis = this.analyzeExposure(histogram, info.width * info.height);
-            
-            return analysis;
+            return await this.workerPool.run('histogram', imageBuffer);
         } catch (error) {
             this.logger.error('Error analyzing histogram:', error);
             throw error;
         }
     }
 
-    analyzeExposure(histogram, totalPixels) {
-        // Check for over/underexposure
-        const threshold = totalPixels * 0.05; // 5% threshold
-        
-        let underexposed = 0;
-        let overexposed = 0;
-        
-        // Check dark pixels (0-20)
-        for (let i = 0; i < 20; i++) {
-            underexposed += histogram.r[i] + histogram.g[i] + histogram.b[i];
-        }
-        
-        // Check bright pixels (235-255)
-        for (let i = 235; i < 256; i++) {
-            overexposed += histogram.r[i] + histogram.g[i] + histogram.b[i];
-        }
-        
-        return {
-            isUnderexposed: underexposed > threshold * 3,
-            isOverexposed: overexposed > threshold * 3,
-            underexposureRatio: underexposed / (totalPixels * 3),
-            overexposureRatio: overexposed / (totalPixels * 3)
-        };
-    }
-
     calculateSimilarity(features1, features2) {
         // Calculate cosine similarity between feature vectors
         if (features1.length !== features2.length) {
@@ -218,26 +170,7 @@ class ImageProcessor {
 
     async analyzeSaturation(imageBuffer) {
         try {
-            const { data, info } = await sharp(imageBuffer)
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-
-            let totalSaturation = 0;
-            const pixelCount = info.width * info.height;
-            
-            for (let i = 0; i < data.length; i += info.channels) {
-                const r = data[i] / 255;
-                const g = data[i + 1] / 255;
-                const b = data[i + 2] / 255;
-                
-                const max = Math.max(r, g, b);
-                const min = Math.min(r, g, b);
-                
-                const saturation = max === 0 ? 0 : (max - min) / max;
-                totalSaturation += saturation;
-            }
-            
-            return totalSaturation / pixelCount;
+            return await this.workerPool.run('saturation', imageBuffer);
         } catch (error) {
             this.logger.error('Error analyzing saturation:', error);
             throw error;
@@ -246,18 +179,7 @@ class ImageProcessor {
 
     async analyzeContrast(imageBuffer) {
         try {
-            const { data, info } = await sharp(imageBuffer)
-                .grayscale()
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-
-            // Calculate standard deviation as a measure of contrast
-            const mean = data.reduce((sum, val) => sum + val, 0) / data.length;
-            const variance = data.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / data.length;
-            const stdDev = Math.sqrt(variance);
-            
-            // Normalize to 0-1 range
-            return stdDev / 128; // Max std dev for 8-bit image is ~128
+            return await this.workerPool.run('contrast', imageBuffer);
         } catch (error) {
             this.logger.error('Error analyzing contrast:', error);
             throw error;
@@ -265,4 +187,4 @@ class ImageProcessor {
     }
 }
 
-module.exports = ImageProcessor;
\ No newline at end of file
+module.exports = ImageProcessor;
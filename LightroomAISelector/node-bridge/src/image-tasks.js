@@ -0,0 +1,483 @@
+/**
+ * Image Tasks Module
+ * CPU-heavy image work: decoding, model preprocessing and the classical CV
+ * measurements. Runs inside the worker pool's threads (or inline when the
+ * pool is disabled), so the pixel loops never block the HTTP event loop.
+ *
+ * Every task takes an encoded image or a decoded one ({ data, info }) whose
+ * pixels live in a SharedArrayBuffer, so analyzers share one decode without
+ * copying it between threads.
+ *
+ * Encoded images are turned upright from their EXIF orientation and converted
+ * to sRGB before any measurement, so decoded pixels are always upright sRGB.
+ */
+
+const sharp = require('sharp');
+const Exif = require('./exif');
+const FaceDetector = require('./face-detector');
+
+// Adobe RGB (1998) to sRGB on linear light; both use the D65 white point
+const ADOBE_RGB_TO_SRGB = [
+    1.3982832, -0.3982831, 0,
+    0, 1, 0,
+    0, -0.0429383, 1.0429383
+];
+const ADOBE_RGB_GAMMA = 563 / 256;
+const LINEAR_STEPS = 4096;
+
+let adobeRgbTables = null;
+
+function isDecoded(input) {
+    return input && !ArrayBuffer.isView(input) && input.data && input.info;
+}
+
+function pipeline(input) {
+    if (isDecoded(input)) {
+        const { width, height, channels } = input.info;
+        return sharp(input.data, { raw: { width, height, channels } });
+    }
+    // sharp applies an embedded ICC profile itself; rotate() reads the EXIF orientation
+    return sharp(input).rotate();
+}
+
+/**
+ * Whether an encoded image needs convertAdobeRgbToSrgb() after decoding:
+ * its EXIF declares Adobe RGB but it has no ICC profile sharp could apply
+ */
+async function needsAdobeRgbConversion(input) {
+    if (isDecoded(input)) {
+        return false; // Converted when it was decoded
+    }
+    const { icc, exif } = await sharp(input).metadata();
+    return !icc && Exif.isAdobeRgb(exif);
+}
+
+/**
+ * Convert 8-bit Adobe RGB pixels to sRGB in place, through lookup tables for
+ * both transfer curves
+ */
+function convertAdobeRgbToSrgb(data, channels) {
+    if (!adobeRgbTables) {
+        const toLinear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            toLinear[i] = (i / 255) ** ADOBE_RGB_GAMMA;
+        }
+        const toSrgb = new Uint8Array(LINEAR_STEPS + 1);
+        for (let i = 0; i <= LINEAR_STEPS; i++) {
+            const linear = i / LINEAR_STEPS;
+            const encoded = linear <= 0.0031308 ? 12.92 * linear : 1.055 * linear ** (1 / 2.4) - 0.055;
+            toSrgb[i] = Math.round(encoded * 255);
+        }
+        adobeRgbTables = { toLinear, toSrgb };
+    }
+
+    const { toLinear, toSrgb } = adobeRgbTables;
+    const m = ADOBE_RGB_TO_SRGB;
+    const encode = value => toSrgb[Math.round(Math.min(1, Math.max(0, value)) * LINEAR_STEPS)];
+
+    for (let i = 0; i < data.length; i += channels) {
+        const r = toLinear[data[i]];
+        const g = toLinear[data[i + 1]];
+        const b = toLinear[data[i + 2]];
+        data[i] = encode(m[0] * r + m[1] * g + m[2] * b);
+        data[i + 1] = encode(m[3] * r + m[4] * g + m[5] * b);
+        data[i + 2] = encode(m[6] * r + m[7] * g + m[8] * b);
+    }
+}
+
+/**
+ * Decode into upright sRGB pixels backed by a SharedArrayBuffer
+ */
+async function decode(input) {
+    const { data, info } = await pipeline(input)
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    if (await needsAdobeRgbConversion(input)) {
+        convertAdobeRgbToSrgb(data, info.channels);
+    }
+
+    const shared = new Uint8Array(new SharedArrayBuffer(data.length));
+    shared.set(data);
+    return { data: shared, info };
+}
+
+/**
+ * Cover-crop to size x size and return a normalized [0, 1] CHW tensor
+ */
+async function preprocess(input, size) {
+    const processed = await pipeline(input)
+        .resize(size, size, {
+            fit: 'cover',
+            position: 'center'
+        })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer();
+
+    if (await needsAdobeRgbConversion(input)) {
+        convertAdobeRgbToSrgb(processed, 3);
+    }
+
+    return reshapeToCHW(processed, size, size, 3);
+}
+
+// NIMA expects 224x224 RGB, normalized to [0, 1]
+function preprocessNIMA(input) {
+    return preprocess(input, 224);
+}
+
+/**
+ * Width and height once turned upright, as pipeline() decodes it
+ */
+async function uprightSize(input) {
+    if (isDecoded(input)) {
+        return { width: input.info.width, height: input.info.height };
+    }
+    const { width, height, orientation } = await sharp(input).metadata();
+    // Orientations 5-8 turn the image by 90°
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Letterbox into UltraFace's 320x240 input: scaled to fit whole, centred, and
+ * padded with the normalization mean. Pixels become (value - 127) / 128 in CHW.
+ * @returns {Promise<Object>} { tensor, letterbox: { width, height, scaleX, scaleY, padX, padY } },
+ *   letterbox holding the original size and the placement face-detector maps boxes back with
+ */
+async function preprocessFaceDetection(input) {
+    const { INPUT_WIDTH, INPUT_HEIGHT } = FaceDetector;
+    const { data, info } = await pipeline(input)
+        .resize(INPUT_WIDTH, INPUT_HEIGHT, { fit: 'inside' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    if (await needsAdobeRgbConversion(input)) {
+        convertAdobeRgbToSrgb(data, info.channels);
+    }
+
+    const { width, height } = await uprightSize(input);
+    const padX = Math.floor((INPUT_WIDTH - info.width) / 2);
+    const padY = Math.floor((INPUT_HEIGHT - info.height) / 2);
+
+    // Zero is the mean grey (127) after normalization
+    const plane = INPUT_WIDTH * INPUT_HEIGHT;
+    const tensor = new Float32Array(plane * 3);
+    for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+            const source = (y * info.width + x) * info.channels;
+            const target = (y + padY) * INPUT_WIDTH + x + padX;
+            for (let c = 0; c < 3; c++) {
+                tensor[c * plane + target] = (data[source + c] - 127) / 128;
+            }
+        }
+    }
+
+    return {
+        tensor,
+        letterbox: {
+            width,
+            height,
+            scaleX: info.width / width,
+            scaleY: info.height / height,
+            padX,
+            padY
+        }
+    };
+}
+
+function reshapeToCHW(pixels, height, width, channels) {
+    // Convert from HWC (height, width, channels) to CHW, normalizing on the way
+    const chw = new Float32Array(height * width * channels);
+    let idx = 0;
+
+    for (let c = 0; c < channels; c++) {
+        for (let h = 0; h < height; h++) {
+            for (let w = 0; w < width; w++) {
+                chw[idx++] = pixels[h * width * channels + w * channels + c] / 255.0;
+            }
+        }
+    }
+
+    return chw;
+}
+
+// Luminance-only measurements skip the Adobe RGB correction, which barely moves luma
+async function grayscale(input) {
+    return pipeline(input)
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Sharpness as the variance of the Laplacian, measured at a fixed working
+ * resolution so the same scene scores alike from a 12 MP and a 45 MP camera,
+ * and per tile so a sharp subject in front of a soft background is found.
+ *
+ * Alongside, each tile's gradient structure tensor tells how directional its
+ * edges are. Motion blur wipes out gradients along the motion everywhere in
+ * the frame, so tiles agree on one direction; defocus blurs all directions alike.
+ * @param {Object} options - { workingSize: long edge in pixels, gridSize: tiles per side }
+ * @returns {Promise<Object>} { score, sharpestRegion, map, motion, workingResolution }
+ */
+async function blur(input, { workingSize = 1024, gridSize = 8 } = {}) {
+    // Downscale only: enlarging a small image would soften it
+    const { data, info } = await pipeline(input)
+        .resize(workingSize, workingSize, { fit: 'inside', withoutEnlargement: true })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // The Laplacian is undefined on the outermost pixels
+    const width = Math.max(0, info.width - 2);
+    const height = Math.max(0, info.height - 2);
+    const laplacian = applyLaplacianKernel(data, info.width, info.height);
+
+    const rows = Math.max(1, Math.min(gridSize, height));
+    const cols = Math.max(1, Math.min(gridSize, width));
+    const sums = new Float64Array(rows * cols);
+    const squares = new Float64Array(rows * cols);
+    const counts = new Uint32Array(rows * cols);
+    // Structure tensor per tile: sums of gx², gy² and gx·gy
+    const gxx = new Float64Array(rows * cols);
+    const gyy = new Float64Array(rows * cols);
+    const gxy = new Float64Array(rows * cols);
+
+    for (let y = 0; y < height; y++) {
+        const rowOffset = Math.floor(y * rows / height) * cols;
+        for (let x = 0; x < width; x++) {
+            const tile = rowOffset + Math.floor(x * cols / width);
+            const value = laplacian[y * width + x];
+            sums[tile] += value;
+            squares[tile] += value * value;
+            counts[tile]++;
+
+            // Central differences at the same (interior) pixel
+            const i = (y + 1) * info.width + x + 1;
+            const gx = data[i + 1] - data[i - 1];
+            const gy = data[i + info.width] - data[i - info.width];
+            gxx[tile] += gx * gx;
+            gyy[tile] += gy * gy;
+            gxy[tile] += gx * gy;
+        }
+    }
+
+    const variance = (sum, square, count) => (count > 0 ? square / count - (sum / count) ** 2 : 0);
+    const scores = [];
+    let sharpest = 0;
+    for (let tile = 0; tile < rows * cols; tile++) {
+        scores.push(variance(sums[tile], squares[tile], counts[tile]));
+        if (scores[tile] > scores[sharpest]) {
+            sharpest = tile;
+        }
+    }
+
+    const row = Math.floor(sharpest / cols);
+    const col = sharpest % cols;
+
+    return {
+        score: variance(sums.reduce((a, b) => a + b, 0), squares.reduce((a, b) => a + b, 0), width * height),
+        // Bounds as fractions of the image size, independent of resolution
+        sharpestRegion: {
+            row,
+            col,
+            x: col / cols,
+            y: row / rows,
+            width: 1 / cols,
+            height: 1 / rows,
+            score: scores[sharpest]
+        },
+        map: {
+            rows,
+            cols,
+            scores: Array.from({ length: rows }, (_, r) => scores.slice(r * cols, (r + 1) * cols))
+        },
+        motion: dominantMotion(gxx, gyy, gxy),
+        workingResolution: { width: info.width, height: info.height }
+    };
+}
+
+/**
+ * How strongly the tiles agree on one blur direction
+ * @returns {Object} { coherence: 0 (no common direction) to 1, direction: degrees
+ *   counter-clockwise from horizontal, 0-180, along which detail is smeared }
+ */
+function dominantMotion(gxx, gyy, gxy) {
+    // Average each tile's gradient orientation on the doubled-angle circle, weighted
+    // by its coherence (λ1 - λ2) / (λ1 + λ2); flat tiles have no orientation
+    let cos = 0;
+    let sin = 0;
+    let tiles = 0;
+    for (let tile = 0; tile < gxx.length; tile++) {
+        const energy = gxx[tile] + gyy[tile];
+        if (energy > 0) {
+            const coherence = Math.hypot(gxx[tile] - gyy[tile], 2 * gxy[tile]) / energy;
+            const doubledAngle = Math.atan2(2 * gxy[tile], gxx[tile] - gyy[tile]);
+            cos += coherence * Math.cos(doubledAngle);
+            sin += coherence * Math.sin(doubledAngle);
+            tiles++;
+        }
+    }
+    if (tiles === 0) {
+        return { coherence: 0, direction: 0 };
+    }
+
+    // Surviving gradients run across the motion. Image y points down, so the
+    // gradient angle flips sign before turning it by 90°.
+    const gradientAngle = Math.atan2(sin, cos) / 2 * 180 / Math.PI;
+    return {
+        coherence: Math.hypot(cos, sin) / tiles,
+        direction: ((90 - gradientAngle) % 180 + 180) % 180
+    };
+}
+
+function applyLaplacianKernel(pixels, width, height) {
+    // Laplacian kernel [0 1 0; 1 -4 1; 0 1 0], unrolled
+    const result = new Float32Array(Math.max(0, (width - 2) * (height - 2)));
+    let idx = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        const row = y * width;
+        for (let x = 1; x < width - 1; x++) {
+            const i = row + x;
+            result[idx++] = pixels[i - width] + pixels[i - 1] + pixels[i + 1] + pixels[i + width] - 4 * pixels[i];
+        }
+    }
+
+    return result;
+}
+
+function calculateVariance(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i];
+    }
+    const mean = sum / data.length;
+
+    let squares = 0;
+    for (let i = 0; i < data.length; i++) {
+        squares += (data[i] - mean) * (data[i] - mean);
+    }
+    return squares / data.length;
+}
+
+async function histogram(input) {
+    const { data, info } = isDecoded(input) ? input : await decode(input);
+    const totalPixels = info.width * info.height;
+
+    const histogram = {
+        r: new Array(256).fill(0),
+        g: new Array(256).fill(0),
+        b: new Array(256).fill(0),
+        luminance: new Array(256).fill(0)
+    };
+    let luminanceSum = 0;
+
+    // Build histogram
+    for (let i = 0; i < data.length; i += info.channels) {
+        const r = data[i];
+        const g = info.channels > 2 ? data[i + 1] : r;
+        const b = info.channels > 2 ? data[i + 2] : r;
+
+        histogram.r[r]++;
+        histogram.g[g]++;
+        histogram.b[b]++;
+
+        // Rec. 709 luma
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        histogram.luminance[Math.round(luminance)]++;
+        luminanceSum += luminance;
+    }
+
+    // Analyze histogram for exposure issues
+    const analysis = analyzeExposure(histogram, totalPixels);
+
+    return {
+        ...analysis,
+        meanLuminance: luminanceSum / totalPixels / 255,
+        clipping: {
+            shadows: clippingRatios(histogram, 0, totalPixels),
+            highlights: clippingRatios(histogram, 255, totalPixels)
+        },
+        histogram
+    };
+}
+
+function clippingRatios(histogram, bin, totalPixels) {
+    // Fraction of pixels pinned to the given bin in each channel
+    return {
+        r: histogram.r[bin] / totalPixels,
+        g: histogram.g[bin] / totalPixels,
+        b: histogram.b[bin] / totalPixels,
+        luminance: histogram.luminance[bin] / totalPixels
+    };
+}
+
+function analyzeExposure(histogram, totalPixels) {
+    // Check for over/underexposure
+    const threshold = totalPixels * 0.05; // 5% threshold
+
+    let underexposed = 0;
+    let overexposed = 0;
+
+    // Check dark pixels (0-20)
+    for (let i = 0; i < 20; i++) {
+        underexposed += histogram.r[i] + histogram.g[i] + histogram.b[i];
+    }
+
+    // Check bright pixels (235-255)
+    for (let i = 235; i < 256; i++) {
+        overexposed += histogram.r[i] + histogram.g[i] + histogram.b[i];
+    }
+
+    return {
+        isUnderexposed: underexposed > threshold * 3,
+        isOverexposed: overexposed > threshold * 3,
+        underexposureRatio: underexposed / (totalPixels * 3),
+        overexposureRatio: overexposed / (totalPixels * 3)
+    };
+}
+
+async function saturation(input) {
+    const { data, info } = isDecoded(input) ? input : await decode(input);
+
+    let totalSaturation = 0;
+    const pixelCount = info.width * info.height;
+
+    for (let i = 0; i < data.length; i += info.channels) {
+        const r = data[i] / 255;
+        const g = data[i + 1] / 255;
+        const b = data[i + 2] / 255;
+
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+
+        totalSaturation += max === 0 ? 0 : (max - min) / max;
+    }
+
+    return totalSaturation / pixelCount;
+}
+
+async function contrast(input) {
+    const { data } = await grayscale(input);
+
+    // Standard deviation as a measure of contrast, normalized to 0-1
+    // (max std dev for an 8-bit image is ~128)
+    return Math.sqrt(calculateVariance(data)) / 128;
+}
+
+module.exports = {
+    decode,
+    preprocessNIMA,
+    preprocessFaceDetection,
+    blur,
+    histogram,
+    saturation,
+    contrast
+};
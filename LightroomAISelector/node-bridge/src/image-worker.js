@@ -0,0 +1,28 @@
+/**
+ * Image Worker
+ * Worker thread entry point for the worker pool: runs one image task per
+ * message and posts back the result, transferring tensor buffers instead
+ * of copying them.
+ */
+
+const { parentPort } = require('worker_threads');
+const tasks = require('./image-tasks');
+
+parentPort.on('message', async ({ id, task, input, options }) => {
+    try {
+        const result = await tasks[task](input, options);
+        // Tensors come back bare or, with how they were preprocessed, as { tensor }.
+        // Shared pixel buffers are shared already; plain ones move to the main thread.
+        const tensor = ArrayBuffer.isView(result) ? result : result && result.tensor;
+        const transfer = ArrayBuffer.isView(tensor) && !(tensor.buffer instanceof SharedArrayBuffer)
+            ? [tensor.buffer]
+            : [];
+        parentPort.postMessage({ id, result }, transfer);
+    } catch (error) {
+        // Errors lose their class crossing threads; code and details keep them classifiable
+        parentPort.postMessage({
+            id,
+            error: { name: error.name, message: error.message, stack: error.stack, code: error.code, details: error.details }
+        });
+    }
+});
@@ -0,0 +1,138 @@
+/**
+ * Inference Scheduler Module
+ * Limits concurrent inferences and decoded megapixels in flight, queues the
+ * excess and rejects work with 429 once the queue is full
+ */
+
+const { AsyncResource } = require('async_hooks');
+const BridgeError = require('./errors');
+
+class InferenceScheduler {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - Limits under scheduler.*, read live so a reload applies
+     */
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+
+        this.active = 0;
+        this.megapixelsInFlight = 0;
+        this.queue = [];
+
+        // Moving average of task duration, used to estimate Retry-After
+        this.averageTaskMs = 1000;
+    }
+
+    get maxConcurrent() {
+        return this.config.get('scheduler.maxConcurrent');
+    }
+
+    get maxMegapixels() {
+        return this.config.get('scheduler.maxMegapixels');
+    }
+
+    get maxQueue() {
+        return this.config.get('scheduler.maxQueue');
+    }
+
+    /**
+     * Run a task once there is capacity for it
+     * @param {number} megapixels - Decoded size of the image the task works on
+     * @param {Function} task - async () => result
+     * @param {Object} options - { bypassQueueLimit } for work already admitted (batch items)
+     * @returns {Promise<*>} The task result
+     * @throws {BridgeError} BRIDGE_BUSY, with retryAfter, when the queue is full
+     */
+    run(megapixels, task, options = {}) {
+        return new Promise((resolve, reject) => {
+            // Queued tasks start from whichever task finished before them; bound,
+            // they keep their caller's request context (and its log fields)
+            const entry = { megapixels, task: AsyncResource.bind(task), resolve, reject };
+
+            if (this.queue.length === 0 && this.hasCapacity(megapixels)) {
+                this.start(entry);
+                return;
+            }
+
+            if (!options.bypassQueueLimit && this.isQueueFull()) {
+                reject(this.createBusyError());
+                return;
+            }
+
+            this.queue.push(entry);
+            this.logger.debug(`Queued inference (${megapixels.toFixed(1)} MP), queue depth ${this.queue.length}`);
+        });
+    }
+
+    hasCapacity(megapixels) {
+        if (this.active >= this.maxConcurrent) {
+            return false;
+        }
+
+        // An image larger than the whole budget still runs, but only on its own
+        return this.active === 0 || this.megapixelsInFlight + megapixels <= this.maxMegapixels;
+    }
+
+    isQueueFull() {
+        return this.queue.length >= this.maxQueue;
+    }
+
+    /**
+     * True when new work could neither start now nor wait in the queue
+     */
+    isSaturated() {
+        const busy = this.queue.length > 0 || this.active >= this.maxConcurrent;
+        return busy && this.isQueueFull();
+    }
+
+    start(entry) {
+        this.active++;
+        this.megapixelsInFlight += entry.megapixels;
+        const startedAt = Date.now();
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                this.active--;
+                this.megapixelsInFlight -= entry.megapixels;
+                this.averageTaskMs = this.averageTaskMs * 0.8 + (Date.now() - startedAt) * 0.2;
+                this.drain();
+            });
+    }
+
+    drain() {
+        // Strict FIFO: a large image at the head is not overtaken by smaller ones
+        while (this.queue.length > 0 && this.hasCapacity(this.queue[0].megapixels)) {
+            this.start(this.queue.shift());
+        }
+    }
+
+    /**
+     * Seconds until a rejected client could reasonably expect a free slot
+     */
+    estimateRetryAfter() {
+        const waves = Math.ceil((this.queue.length + 1) / this.maxConcurrent);
+        return Math.max(1, Math.ceil((waves * this.averageTaskMs) / 1000));
+    }
+
+    createBusyError() {
+        return new BridgeError('BRIDGE_BUSY', 'Bridge is busy: too many images queued for analysis. Retry later.', {
+            retryAfter: this.estimateRetryAfter()
+        });
+    }
+
+    getStats() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            megapixels_in_flight: Math.round(this.megapixelsInFlight * 10) / 10,
+            max_concurrent: this.maxConcurrent,
+            max_megapixels: this.maxMegapixels,
+            max_queue: this.maxQueue
+        };
+    }
+}
+
+module.exports = InferenceScheduler;
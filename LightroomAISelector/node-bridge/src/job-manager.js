@@ -0,0 +1,361 @@
+/**
+ * Job Manager Module
+ * Runs batch scoring jobs in the background and tracks per-photo progress
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const BridgeError = require('./errors');
+
+const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    // Stopped by a bridge shutdown; results so far are kept
+    INTERRUPTED: 'interrupted',
+    FAILED: 'failed'
+};
+
+const PhotoStatus = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted'
+};
+
+class JobManager extends EventEmitter {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - jobs.retentionMs and jobs.checkpointFile
+     */
+    constructor(logger, config) {
+        super();
+        this.setMaxListeners(0); // One listener per open event stream
+        this.logger = logger;
+        this.config = config;
+        this.jobs = new Map();
+        this.interrupting = false;
+
+        // Periodically drop finished jobs nobody has collected
+        this.pruneTimer = setInterval(() => this.pruneFinishedJobs(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    // How long finished jobs stay available
+    get retentionMs() {
+        return this.config.get('jobs.retentionMs');
+    }
+
+    get checkpointFile() {
+        return this.config.get('jobs.checkpointFile');
+    }
+
+    /**
+     * Create a job and start processing it in the background
+     * @param {Array<Object>} files - Multer or path-guard file objects ({ originalname, path })
+     * @param {Function} processFile - async (file) => result object for one photo
+     * @param {Object} options - { releaseFile: (file) => void, called once per file when the job is done with it }
+     * @returns {Object} The created job
+     */
+    createJob(files, processFile, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: JobStatus.QUEUED,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelRequested: false,
+            total: files.length,
+            completed: 0,
+            failed: 0,
+            photos: files.map((file, index) => ({
+                index,
+                filename: file.originalname,
+                status: PhotoStatus.PENDING
+            })),
+            results: [],
+            events: []
+        };
+
+        this.jobs.set(job.id, job);
+        this.logger.info(`Job ${job.id} created with ${job.total} photos`);
+
+        // Intentionally not awaited: the caller gets the job ID right away
+        this.runJob(job, files, processFile, options.releaseFile).catch(error => {
+            job.status = JobStatus.FAILED;
+            job.error = error.message;
+            job.finishedAt = new Date().toISOString();
+            this.logger.error(`Job ${job.id} failed:`, error);
+            this.recordEvent(job, 'summary', this.summarizeJob(job));
+        }).finally(() => {
+            // Photos never reached (cancelled, interrupted or failed job)
+            if (options.releaseFile) {
+                files.filter(Boolean).forEach(options.releaseFile);
+            }
+        });
+
+        return job;
+    }
+
+    async runJob(job, files, processFile, releaseFile) {
+        job.status = JobStatus.RUNNING;
+        job.startedAt = new Date().toISOString();
+
+        for (let i = 0; i < files.length; i++) {
+            if (job.cancelRequested || this.interrupting) {
+                break;
+            }
+
+            const photo = job.photos[i];
+            photo.status = PhotoStatus.PROCESSING;
+
+            const result = await processFile(files[i]);
+
+            // Release the upload as soon as the photo is scored
+            if (releaseFile) {
+                releaseFile(files[i]);
+            }
+            files[i] = null;
+
+            photo.status = result.success ? PhotoStatus.DONE : PhotoStatus.FAILED;
+            if (result.success) {
+                job.completed++;
+            } else {
+                job.failed++;
+            }
+            job.results.push(result);
+            this.recordEvent(job, 'photo', { index: i, ...result });
+        }
+
+        if (job.cancelRequested) {
+            job.photos
+                .filter(photo => photo.status === PhotoStatus.PENDING)
+                .forEach(photo => { photo.status = PhotoStatus.CANCELLED; });
+            job.status = JobStatus.CANCELLED;
+            this.logger.info(`Job ${job.id} cancelled after ${job.results.length}/${job.total} photos`);
+        } else if (this.interrupting && job.results.length < job.total) {
+            this.markInterrupted(job);
+            this.logger.warn(`Job ${job.id} interrupted by shutdown after ${job.results.length}/${job.total} photos`);
+        } else {
+            job.status = JobStatus.COMPLETED;
+            this.logger.info(`Job ${job.id} completed: ${job.completed} succeeded, ${job.failed} failed`);
+        }
+
+        job.finishedAt = new Date().toISOString();
+        this.recordEvent(job, 'summary', this.summarizeJob(job));
+    }
+
+    /**
+     * Append an event to the job's log so streams can replay it after reconnecting
+     */
+    recordEvent(job, type, data) {
+        const event = { id: job.events.length + 1, type, data };
+        job.events.push(event);
+        this.emit('job-event', job.id, event);
+    }
+
+    /**
+     * Replay events after lastEventId, then deliver new ones as they happen
+     * @param {string} jobId - Job to follow
+     * @param {number} lastEventId - Last event the client already received (0 for all)
+     * @param {Function} onEvent - Called with each { id, type, data } event
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(jobId, lastEventId, onEvent) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new BridgeError('JOB_NOT_FOUND', `Job not found: ${jobId}`);
+        }
+
+        const listener = (eventJobId, event) => {
+            if (eventJobId === jobId && event.id > lastEventId) {
+                onEvent(event);
+            }
+        };
+
+        job.events
+            .filter(event => event.id > lastEventId)
+            .forEach(event => onEvent(event));
+
+        this.on('job-event', listener);
+        return () => this.off('job-event', listener);
+    }
+
+    summarizeJob(job) {
+        return {
+            job_id: job.id,
+            status: job.status,
+            total: job.total,
+            completed: job.completed,
+            failed: job.failed,
+            cancelled: job.photos.filter(photo => photo.status === PhotoStatus.CANCELLED).length,
+            interrupted: job.photos.filter(photo => photo.status === PhotoStatus.INTERRUPTED).length,
+            error: job.error
+        };
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Request cancellation. The photo currently being scored is allowed to finish.
+     * @returns {Object|null} The job, or null if it does not exist
+     */
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (!this.isFinished(job)) {
+            job.cancelRequested = true;
+        }
+
+        return job;
+    }
+
+    isFinished(job) {
+        return job.status === JobStatus.COMPLETED ||
+               job.status === JobStatus.CANCELLED ||
+               job.status === JobStatus.INTERRUPTED ||
+               job.status === JobStatus.FAILED;
+    }
+
+    hasRunningJobs() {
+        for (const job of this.jobs.values()) {
+            if (!this.isFinished(job)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Stop every running job after the photo it is currently scoring (shutdown only)
+     */
+    interruptAll() {
+        this.interrupting = true;
+    }
+
+    markInterrupted(job) {
+        job.photos
+            .filter(photo => photo.status === PhotoStatus.PENDING || photo.status === PhotoStatus.PROCESSING)
+            .forEach(photo => { photo.status = PhotoStatus.INTERRUPTED; });
+        job.status = JobStatus.INTERRUPTED;
+    }
+
+    /**
+     * Write the jobs that were in flight when shutdown began, with their results
+     * and events, to the checkpoint file so the plugin can still collect them
+     * after the bridge restarts. The drain or the deadline has finished them by
+     * now, so they are picked by when they finished; jobs finished before the
+     * shutdown could already be collected and are not kept.
+     * @param {Date} since - When shutdown began
+     * @returns {Promise<number>} Number of jobs written
+     */
+    async saveCheckpoint(since) {
+        const jobs = [...this.jobs.values()]
+            .filter(job => !this.isFinished(job) || Date.parse(job.finishedAt) >= since.getTime());
+        if (jobs.length === 0) {
+            return 0;
+        }
+
+        const checkpoint = {
+            saved_at: new Date().toISOString(),
+            jobs
+        };
+
+        // Write then rename, so a crash mid-write never leaves a truncated checkpoint
+        const tempFile = `${this.checkpointFile}.tmp`;
+        await fs.mkdir(path.dirname(this.checkpointFile), { recursive: true, mode: 0o700 });
+        await fs.writeFile(tempFile, JSON.stringify(checkpoint), { mode: 0o600 });
+        await fs.rename(tempFile, this.checkpointFile);
+
+        this.logger.info(`Checkpointed ${checkpoint.jobs.length} jobs to ${this.checkpointFile}`);
+        return checkpoint.jobs.length;
+    }
+
+    /**
+     * Load jobs saved by the previous shutdown, then delete the checkpoint.
+     * Jobs that were still running are restored as interrupted.
+     * @returns {Promise<number>} Number of jobs restored
+     */
+    async restoreCheckpoint() {
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(await fs.readFile(this.checkpointFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            this.logger.warn(`Ignoring unreadable job checkpoint ${this.checkpointFile}: ${error.message}`);
+            await fs.rm(this.checkpointFile, { force: true });
+            return 0;
+        }
+
+        let restored = 0;
+        for (const job of checkpoint.jobs || []) {
+            if (this.jobs.has(job.id)) {
+                continue;
+            }
+
+            if (!this.isFinished(job)) {
+                this.markInterrupted(job);
+                job.finishedAt = checkpoint.saved_at;
+                this.recordEvent(job, 'summary', this.summarizeJob(job));
+            }
+
+            this.jobs.set(job.id, job);
+            restored++;
+        }
+
+        await fs.rm(this.checkpointFile, { force: true });
+        this.logger.info(`Restored ${restored} jobs from ${this.checkpointFile}`);
+        return restored;
+    }
+
+    serializeJob(job) {
+        const processed = job.completed + job.failed;
+
+        return {
+            job_id: job.id,
+            status: job.status,
+            cancel_requested: job.cancelRequested,
+            created_at: job.createdAt,
+            started_at: job.startedAt,
+            finished_at: job.finishedAt,
+            progress: {
+                total: job.total,
+                processed,
+                completed: job.completed,
+                failed: job.failed,
+                percent: job.total > 0 ? Math.round((processed / job.total) * 100) : 100
+            },
+            photos: job.photos,
+            results: job.results,
+            error: job.error
+        };
+    }
+
+    pruneFinishedJobs() {
+        const cutoff = Date.now() - this.retentionMs;
+
+        for (const [jobId, job] of this.jobs) {
+            if (this.isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+                this.jobs.delete(jobId);
+                this.logger.debug(`Pruned job ${jobId}`);
+            }
+        }
+    }
+}
+
+JobManager.JobStatus = JobStatus;
+JobManager.PhotoStatus = PhotoStatus;
+
+module.exports = JobManager;
@@ -0,0 +1,187 @@
+/**
+ * Metrics Module
+ * Prometheus metrics for request throughput and latency, inference and
+ * preprocessing time, queue depth, memory use and errors, served at /metrics
+ */
+
+const client = require('prom-client');
+
+// Inference and preprocessing range from a few milliseconds to tens of seconds on large RAWs
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Metrics {
+    constructor(logger) {
+        this.logger = logger;
+        this.registry = new client.Registry();
+
+        // Process metrics: resident memory, heap, event loop lag, GC
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.requests = new client.Counter({
+            name: 'pickit_bridge_http_requests_total',
+            help: 'HTTP requests by route and status',
+            labelNames: ['method', 'route', 'status'],
+            registers: [this.registry]
+        });
+
+        this.requestDuration = new client.Histogram({
+            name: 'pickit_bridge_http_request_duration_seconds',
+            help: 'HTTP request latency by route',
+            labelNames: ['method', 'route'],
+            buckets: DURATION_BUCKETS,
+            registers: [this.registry]
+        });
+
+        this.inferenceDuration = new client.Histogram({
+            name: 'pickit_bridge_inference_duration_seconds',
+            help: 'Model inference time per model',
+            labelNames: ['model'],
+            buckets: DURATION_BUCKETS,
+            registers: [this.registry]
+        });
+
+        this.preprocessingDuration = new client.Histogram({
+            name: 'pickit_bridge_preprocessing_duration_seconds',
+            help: 'Image decoding and preprocessing time per step',
+            labelNames: ['step'],
+            buckets: DURATION_BUCKETS,
+            registers: [this.registry]
+        });
+
+        this.errors = new client.Counter({
+            name: 'pickit_bridge_errors_total',
+            help: 'Errors by bridge error code',
+            labelNames: ['code'],
+            registers: [this.registry]
+        });
+
+        this.cacheLookups = new client.Counter({
+            name: 'pickit_bridge_cache_lookups_total',
+            help: 'Result cache lookups by outcome',
+            labelNames: ['result'],
+            registers: [this.registry]
+        });
+    }
+
+    /**
+     * Report queue depth from the inference scheduler at scrape time
+     * @param {InferenceScheduler} scheduler
+     */
+    trackScheduler(scheduler) {
+        const gauges = {
+            queued: 'Requests waiting for an inference slot',
+            active: 'Inferences currently running',
+            megapixels_in_flight: 'Decoded megapixels currently being processed'
+        };
+
+        for (const [stat, help] of Object.entries(gauges)) {
+            new client.Gauge({
+                name: `pickit_bridge_inference_${stat}`,
+                help,
+                registers: [this.registry],
+                collect() {
+                    this.set(scheduler.getStats()[stat]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Report image worker utilisation at scrape time
+     * @param {WorkerPool} pool
+     */
+    trackWorkerPool(pool) {
+        const gauges = {
+            busy: 'Image worker threads running a task',
+            queued: 'Image tasks waiting for a worker thread'
+        };
+
+        for (const [stat, help] of Object.entries(gauges)) {
+            new client.Gauge({
+                name: `pickit_bridge_workers_${stat}`,
+                help,
+                registers: [this.registry],
+                collect() {
+                    this.set(pool.getStats()[stat]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Report result cache size at scrape time
+     * @param {ResultCache} cache
+     */
+    trackCache(cache) {
+        const gauges = {
+            entries: 'Analysis results stored in the result cache',
+            size_bytes: 'Disk space used by the result cache'
+        };
+
+        for (const [stat, help] of Object.entries(gauges)) {
+            new client.Gauge({
+                name: `pickit_bridge_cache_${stat}`,
+                help,
+                registers: [this.registry],
+                collect() {
+                    this.set(cache.getStats()[stat]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Express middleware counting requests and timing them per route.
+     * Routes are labelled by their pattern (/jobs/:id), never the raw URL.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const endTimer = this.requestDuration.startTimer();
+
+            res.on('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                endTimer({ method: req.method, route });
+                this.requests.inc({ method: req.method, route, status: res.statusCode });
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Start timing an inference
+     * @returns {Function} Call when the inference finishes
+     */
+    timeInference(model) {
+        return this.inferenceDuration.startTimer({ model });
+    }
+
+    /**
+     * Start timing a preprocessing step (decode, nima, face_detection)
+     * @returns {Function} Call when the step finishes
+     */
+    timePreprocessing(step) {
+        return this.preprocessingDuration.startTimer({ step });
+    }
+
+    recordError(code) {
+        this.errors.inc({ code });
+    }
+
+    recordCacheLookup(hit) {
+        this.cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * Metrics in Prometheus text exposition format
+     */
+    async render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = Metrics;
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const BridgeError = require('./errors');
 
 class ModelManager {
     constructor(logger) {
@@ -56,14 +57,14 @@ class ModelManager {
                 inputShape: [1, 3, 224, 224],
                 outputShape: [1, 10]
             },
-            'blazeface': {
-                name: 'BlazeFace',
-                filename: 'blazeface.onnx',
-                url: 'https://storage.googleapis.com/mediapipe-models/blazeface.onnx',
-                size: '1MB',
-                description: 'Lightweight face detection model',
-                inputShape: [1, 3, 128, 128],
-                outputShape: 'variable'
+            'ultraface': {
+                name: 'UltraFace',
+                filename: 'ultraface.onnx',
+                url: 'https://github.com/onnx/models/raw/main/validated/vision/body_analysis/ultraface/models/version-RFB-320.onnx',
+                size: '1.2MB',
+                description: 'Ultra-light face detection model (RFB-320)',
+                inputShape: [1, 3, 240, 320],
+                outputShape: { scores: [1, 4420, 2], boxes: [1, 4420, 4] }
             }
         };
 
@@ -73,18 +74,27 @@ class ModelManager {
             try {
                 await fs.access(modelPath);
                 model.available = true;
-                this.logger.info(`Model available: ${key}`);
+                this.logger.child({ model: key }).info(`Model available: ${key}`);
             } catch {
                 model.available = false;
-                this.logger.warn(`Model not found: ${key}. Run 'npm run install-models' to download.`);
+                this.logger.child({ model: key }).warn(`Model not found: ${key}. Run 'npm run install-models' to download.`);
             }
         }
     }
 
     async getModelPath(modelName) {
+        const modelFile = await this.resolveModelFile(modelName);
+        return modelFile.path;
+    }
+
+    /**
+     * Locate a model's file, falling back to the development mock
+     * @returns {Promise<Object>} { path, mock } - mock is true when only the mock model exists
+     */
+    async resolveModelFile(modelName) {
         const model = this.modelRegistry[modelName];
         if (!model) {
-            throw new Error(`Unknown model: ${modelName}`);
+            throw new BridgeError('MODEL_UNKNOWN', `Unknown model: ${modelName}`);
         }
 
         const modelPath = path.join(this.modelsDir, model.filename);
@@ -92,16 +102,16 @@ class ModelManager {
         // Check if model exists
         try {
             await fs.access(modelPath);
-            return modelPath;
+            return { path: modelPath, mock: false };
         } catch {
             // Try to use a mock model for development
             const mockPath = path.join(this.modelsDir, 'mock', `${modelName}.onnx`);
             try {
                 await fs.access(mockPath);
-                this.logger.warn(`Using mock model for ${modelName}`);
-                return mockPath;
+                this.logger.child({ model: modelName }).warn(`Using mock model for ${modelName}`);
+                return { path: mockPath, mock: true };
             } catch {
-                throw new Error(`Model file not found: ${model.filename}. Please download the model first.`);
+                throw new BridgeError('MODEL_NOT_FOUND', `Model file not found: ${model.filename}. Please download the model first.`);
             }
         }
     }
@@ -113,11 +123,11 @@ class ModelManager {
 
         const model = this.modelRegistry[modelName];
         if (!model) {
-            throw new Error(`Unknown model: ${modelName}`);
+            throw new BridgeError('MODEL_UNKNOWN', `Unknown model: ${modelName}`);
         }
 
         if (!model.available) {
-            throw new Error(`Model not available: ${modelName}. Please download it first.`);
+            throw new BridgeError('MODEL_NOT_FOUND', `Model not available: ${modelName}. Please download it first.`);
         }
 
         this.loadedModels.add(modelName);
@@ -142,10 +152,11 @@ class ModelManager {
     async downloadModel(modelName) {
         const model = this.modelRegistry[modelName];
         if (!model) {
-            throw new Error(`Unknown model: ${modelName}`);
+            throw new BridgeError('MODEL_UNKNOWN', `Unknown model: ${modelName}`);
         }
 
-        this.logger.info(`Downloading model: ${modelName} from ${model.url}`);
+        const logger = this.logger.child({ model: modelName });
+        logger.info(`Downloading model: ${modelName} from ${model.url}`);
         
         // In production, this would download the model
         // For MVP, we'll create a placeholder
@@ -155,10 +166,10 @@ class ModelManager {
             // Create a mock model file for testing
             await fs.writeFile(modelPath, Buffer.from('mock model data'));
             model.available = true;
-            this.logger.info(`Model downloaded: ${modelName}`);
+            logger.info(`Model downloaded: ${modelName}`);
             return true;
         } catch (error) {
-            this.logger.error(`Error downloading model ${modelName}:`, error);
+            logger.error(`Error downloading model ${modelName}:`, error);
             throw error;
         }
     }
@@ -166,7 +177,7 @@ class ModelManager {
     async validateModel(modelName) {
         const model = this.modelRegistry[modelName];
         if (!model) {
-            throw new Error(`Unknown model: ${modelName}`);
+            throw new BridgeError('MODEL_UNKNOWN', `Unknown model: ${modelName}`);
         }
 
         const modelPath = path.join(this.modelsDir, model.filename);
@@ -181,7 +192,7 @@ class ModelManager {
             
             return true;
         } catch (error) {
-            this.logger.error(`Model validation failed for ${modelName}:`, error);
+            this.logger.child({ model: modelName }).error(`Model validation failed for ${modelName}:`, error);
             return false;
         }
     }
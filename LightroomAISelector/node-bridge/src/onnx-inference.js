@@ -6,12 +6,45 @@
 const ort = require('onnxruntime-node');
 const path = require('path');
 const fs = require('fs').promises;
+const BridgeError = require('./errors');
+const FaceDetector = require('./face-detector');
+
+// Models quality scoring depends on; without them every score would be 0
+const REQUIRED_MODELS = [
+    'nima_aesthetic',
+    'nima_technical'
+];
+
+// Models loaded at startup when installed; their features degrade without them
+const OPTIONAL_MODELS = [
+    'ultraface'
+];
+
+const ModelStatus = {
+    MISSING: 'missing',
+    MOCK: 'mock',
+    LOADED: 'loaded',
+    FAILED: 'failed'
+};
 
 class ONNXInference {
-    constructor(modelManager, logger) {
+    constructor(modelManager, logger, config, metrics = null) {
         this.modelManager = modelManager;
         this.logger = logger;
+        this.config = config;
+        this.metrics = metrics;
         this.sessions = {};
+        this.modelStatus = {};
+        // Size and modification time of each loaded model file
+        this.modelFiles = {};
+    }
+
+    /**
+     * Start timing an inference
+     * @returns {Function} Call when the inference finishes
+     */
+    startTimer(modelName) {
+        return this.metrics ? this.metrics.timeInference(modelName) : () => {};
     }
 
     async initialize() {
@@ -28,38 +61,114 @@ class ONNXInference {
     }
 
     async loadDefaultModels() {
-        const defaultModels = [
-            'nima_aesthetic',
-            'nima_technical',
-            // 'blazeface',  // Will be added when model is downloaded
-        ];
-
-        for (const modelName of defaultModels) {
+        for (const modelName of [...REQUIRED_MODELS, ...OPTIONAL_MODELS]) {
             try {
                 await this.loadModel(modelName);
             } catch (error) {
-                this.logger.warn(`Failed to load default model ${modelName}:`, error.message);
+                this.logger.child({ model: modelName }).warn(`Failed to load default model ${modelName}: ${error.message}`);
             }
         }
     }
 
     async loadModel(modelName) {
+        const logger = this.logger.child({ model: modelName });
+
         if (this.sessions[modelName]) {
-            this.logger.info(`Model ${modelName} already loaded`);
+            logger.info(`Model ${modelName} already loaded`);
             return;
         }
 
-        const modelPath = await this.modelManager.getModelPath(modelName);
+        let modelFile;
+        try {
+            modelFile = await this.modelManager.resolveModelFile(modelName);
+        } catch (error) {
+            if (error.code === 'MODEL_NOT_FOUND') {
+                this.setModelStatus(modelName, ModelStatus.MISSING, error.message);
+            }
+            throw error;
+        }
         
         try {
-            this.logger.info(`Loading model: ${modelName} from ${modelPath}`);
-            const session = await ort.InferenceSession.create(modelPath);
+            logger.info(`Loading model: ${modelName} from ${modelFile.path}`);
+            const startedAt = Date.now();
+            const session = await ort.InferenceSession.create(modelFile.path);
+            const stats = await fs.stat(modelFile.path);
             this.sessions[modelName] = session;
-            this.logger.info(`Model ${modelName} loaded successfully`);
+            this.modelFiles[modelName] = `${stats.size}-${Math.round(stats.mtimeMs)}`;
+            this.setModelStatus(modelName, modelFile.mock ? ModelStatus.MOCK : ModelStatus.LOADED,
+                modelFile.mock ? 'Development mock model; scores are not meaningful' : undefined);
+            logger.info(`Model ${modelName} loaded successfully`, { durationMs: Date.now() - startedAt });
         } catch (error) {
-            this.logger.error(`Failed to load model ${modelName}:`, error);
-            throw error;
+            this.setModelStatus(modelName, ModelStatus.FAILED, error.message);
+            logger.error(`Failed to load model ${modelName}:`, error);
+            throw new BridgeError('MODEL_LOAD_FAILED', `Failed to load model ${modelName}: ${error.message}`, { cause: error });
+        }
+    }
+
+    setModelStatus(modelName, status, reason) {
+        this.modelStatus[modelName] = reason ? { status, reason } : { status };
+    }
+
+    /**
+     * Status of each model: missing, mock, loaded or failed (with a reason)
+     * @param {Array<string>} modelNames - Defaults to the required models
+     */
+    getModelStatus(modelNames = REQUIRED_MODELS) {
+        const statuses = {};
+        for (const modelName of modelNames) {
+            statuses[modelName] = this.modelStatus[modelName] ||
+                { status: ModelStatus.MISSING, reason: 'Not loaded yet' };
+        }
+        return statuses;
+    }
+
+    /**
+     * Identifies the loaded models; changes when a model is installed, replaced or fails,
+     * so cached results from other models are not reused
+     */
+    getModelVersion() {
+        return Object.keys(this.modelStatus).sort()
+            .map(modelName => `${modelName}:${this.modelStatus[modelName].status}:${this.modelFiles[modelName] || '-'}`)
+            .join(';');
+    }
+
+    /**
+     * True when every required model is loaded from a real model file
+     */
+    isReady() {
+        return Object.values(this.getModelStatus()).every(model => model.status === ModelStatus.LOADED);
+    }
+
+    /**
+     * Whether a model's session is there to run. A model that is not installed
+     * is skipped, as readiness reports it; one that is installed but failed to
+     * load is an error rather than a silently missing score.
+     * @throws {BridgeError} MODEL_NOT_LOADED when the model failed to load
+     */
+    canRun(modelName) {
+        if (this.sessions[modelName]) {
+            return true;
+        }
+        const model = this.modelStatus[modelName];
+        if (model && model.status === ModelStatus.FAILED) {
+            throw new BridgeError('MODEL_NOT_LOADED', `Model ${modelName} failed to load: ${model.reason}`);
         }
+        return false;
+    }
+
+    /**
+     * Session of a model an endpoint has no answer without
+     * @throws {BridgeError} MODEL_NOT_FOUND when the model is not installed,
+     *   MODEL_NOT_LOADED when it failed to load
+     */
+    requireSession(modelName) {
+        if (this.canRun(modelName)) {
+            return this.sessions[modelName];
+        }
+        const model = this.modelStatus[modelName];
+        throw new BridgeError('MODEL_NOT_FOUND', model && model.reason
+            ? `Model ${modelName} is not installed: ${model.reason}`
+            : `Model ${modelName} is not installed`);
     }
 
     async assessQuality(imageData) {
@@ -72,7 +181,7 @@ class ONNXInference {
 
         try {
             // Technical quality assessment
-            if (this.sessions.nima_technical) {
+            if (this.canRun('nima_technical')) {
                 const technicalScore = await this.runNIMA(imageData, 'nima_technical');
                 results.technical = technicalScore;
                 results.details.technical = {
@@ -82,7 +191,7 @@ class ONNXInference {
             }
 
             // Aesthetic quality assessment
-            if (this.sessions.nima_aesthetic) {
+            if (this.canRun('nima_aesthetic')) {
                 const aestheticScore = await this.runNIMA(imageData, 'nima_aesthetic');
                 results.aesthetic = aestheticScore;
                 results.details.aesthetic = {
@@ -92,8 +201,8 @@ class ONNXInference {
             }
 
             // Calculate overall score (weighted average)
-            const technicalWeight = 0.4;
-            const aestheticWeight = 0.6;
+            const technicalWeight = this.config.get('scoring.technicalWeight');
+            const aestheticWeight = this.config.get('scoring.aestheticWeight');
             results.overall = (results.technical * technicalWeight) + 
                             (results.aesthetic * aestheticWeight);
 
@@ -108,26 +217,32 @@ class ONNXInference {
     async runNIMA(imageData, modelName) {
         const session = this.sessions[modelName];
         if (!session) {
-            throw new Error(`Model ${modelName} not loaded`);
+            throw new BridgeError('MODEL_NOT_LOADED', `Model ${modelName} not loaded`);
         }
 
+        const logger = this.logger.child({ model: modelName });
+
         try {
             // Prepare input tensor
             // NIMA expects 224x224x3 normalized image
             const inputTensor = new ort.Tensor('float32', imageData, [1, 3, 224, 224]);
             
             // Run inference
+            const startedAt = Date.now();
+            const endTimer = this.startTimer(modelName);
             const feeds = { input: inputTensor };
             const results = await session.run(feeds);
+            endTimer();
             
             // Extract score (NIMA outputs distribution over 1-10)
             const output = results.output.data;
             const score = this.calculateMeanScore(output);
             
+            logger.debug(`${modelName} inference complete`, { durationMs: Date.now() - startedAt });
             return score;
         } catch (error) {
-            this.logger.error(`Error running NIMA inference:`, error);
-            throw error;
+            logger.error(`Error running NIMA inference:`, error);
+            throw new BridgeError('INFERENCE_FAILED', `${modelName} inference failed: ${error.message}`, { cause: error });
         }
     }
 
@@ -148,67 +263,55 @@ class ONNXInference {
         return 'poor';
     }
 
-    async detectFaces(imageData) {
-        const session = this.sessions.blazeface;
-        if (!session) {
-            // Fallback to mock data if model not loaded
-            this.logger.warn('BlazeFace model not loaded, returning empty result');
-            return [];
-        }
+    /**
+     * Faces found by UltraFace
+     * @param {Object} preprocessed - From ImageProcessor.preprocessForFaceDetection(): { tensor, letterbox }
+     * @returns {Promise<Array<Object>>} { bbox: [x1, y1, x2, y2] in original image pixels, confidence, landmarks, quality }
+     * @throws {BridgeError} MODEL_NOT_FOUND or MODEL_NOT_LOADED without UltraFace, rather than finding no faces
+     */
+    async detectFaces({ tensor, letterbox }) {
+        const logger = this.logger.child({ model: 'ultraface' });
+        const session = this.requireSession('ultraface');
 
         try {
-            // Prepare input tensor for BlazeFace
-            // BlazeFace expects 128x128x3 image
-            const inputTensor = new ort.Tensor('float32', imageData, [1, 3, 128, 128]);
+            // UltraFace expects a 320x240 letterboxed RGB image
+            const inputTensor = new ort.Tensor('float32', tensor, [1, 3, FaceDetector.INPUT_HEIGHT, FaceDetector.INPUT_WIDTH]);
             
             // Run inference
-            const feeds = { input: inputTensor };
+            const startedAt = Date.now();
+            const endTimer = this.startTimer('ultraface');
+            const feeds = { [session.inputNames[0]]: inputTensor };
             const results = await session.run(feeds);
+            endTimer();
             
             // Parse face detection results
-            const faces = this.parseFaceDetections(results);
+            const faces = this.parseFaceDetections(results, letterbox);
             
+            logger.debug(`Face detection complete: ${faces.length} faces`, { durationMs: Date.now() - startedAt });
             return faces;
         } catch (error) {
-            this.logger.error('Error in face detection:', error);
-            throw error;
+            logger.error('Error in face detection:', error);
+            throw new BridgeError('INFERENCE_FAILED', `Face detection failed: ${error.message}`, { cause: error });
         }
     }
 
-    parseFaceDetections(results) {
-        // Parse BlazeFace output
-        // This is a simplified version - actual implementation depends on model output format
-        const faces = [];
-        
-        // Extract bounding boxes and confidence scores
-        if (results.boxes && results.scores) {
-            const boxes = results.boxes.data;
-            const scores = results.scores.data;
-            
-            for (let i = 0; i < scores.length; i++) {
-                if (scores[i] > 0.5) { // Confidence threshold
-                    faces.push({
-                        bbox: [
-                            boxes[i * 4],
-                            boxes[i * 4 + 1],
-                            boxes[i * 4 + 2],
-                            boxes[i * 4 + 3]
-                        ],
-                        confidence: scores[i],
-                        quality: this.assessFaceQuality(boxes, i)
-                    });
-                }
-            }
+    parseFaceDetections(results, letterbox) {
+        // UltraFace outputs a face score and a box for each of its prior boxes
+        if (!results.scores || !results.boxes) {
+            throw new Error(`Unexpected model outputs: ${Object.keys(results).join(', ')} (expected scores and boxes)`);
         }
-        
-        return faces;
+
+        const faces = FaceDetector.detect(results.scores.data, results.boxes.data, letterbox, {
+            confidenceThreshold: this.config.get('faces.confidenceThreshold'),
+            iouThreshold: this.config.get('faces.iouThreshold')
+        });
+        // UltraFace finds faces only, not eyes, nose or mouth
+        return faces.map(face => ({ ...face, landmarks: null, quality: this.assessFaceQuality(face.bbox, letterbox) }));
     }
 
-    assessFaceQuality(boxes, index) {
-        // Simple face quality assessment based on size and position
-        const width = boxes[index * 4 + 2] - boxes[index * 4];
-        const height = boxes[index * 4 + 3] - boxes[index * 4 + 1];
-        const size = width * height;
+    assessFaceQuality([x1, y1, x2, y2], { width, height }) {
+        // Simple face quality assessment based on the share of the frame the face fills
+        const size = ((x2 - x1) * (y2 - y1)) / (width * height);
         
         // Quality based on face size (larger is generally better)
         if (size > 0.1) return 'good';
@@ -239,9 +342,9 @@ class ONNXInference {
         for (const [name, session] of Object.entries(this.sessions)) {
             try {
                 await session.release();
-                this.logger.info(`Released session: ${name}`);
+                this.logger.child({ model: name }).info(`Released session: ${name}`);
             } catch (error) {
-                this.logger.error(`Error releasing session ${name}:`, error);
+                this.logger.child({ model: name }).error(`Error releasing session ${name}:`, error);
             }
         }
         
@@ -249,4 +352,8 @@ class ONNXInference {
     }
 }
 
+ONNXInference.REQUIRED_MODELS = REQUIRED_MODELS;
+ONNXInference.OPTIONAL_MODELS = OPTIONAL_MODELS;
+ONNXInference.ModelStatus = ModelStatus;
+
 module.exports = ONNXInference;
\ No newline at end of file
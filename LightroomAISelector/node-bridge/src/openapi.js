@@ -0,0 +1,959 @@
+/**
+ * OpenAPI Specification
+ * Single source of truth for the bridge HTTP API, served at /openapi.json
+ * and used to validate requests and responses
+ */
+
+const { version } = require('../package.json');
+const { ANALYZERS, BLUR_TYPES } = require('./analyzer');
+const { ERROR_CODES } = require('./errors');
+const { SCHEMA: CONFIG_SCHEMA } = require('./config');
+const { MAX_BATCH_UPLOADS } = require('./upload-store');
+
+const jsonBody = (schema) => ({
+    required: true,
+    content: { 'application/json': { schema } }
+});
+
+const multipartBody = (schema) => ({
+    required: true,
+    content: { 'multipart/form-data': { schema } }
+});
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const errorResponses = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    429: { $ref: '#/components/responses/Busy' },
+    500: { $ref: '#/components/responses/ServerError' },
+    503: { $ref: '#/components/responses/ShuttingDown' }
+};
+
+// Failures specific to decoding images and running models on them
+const imageErrorResponses = {
+    ...errorResponses,
+    413: { $ref: '#/components/responses/PayloadTooLarge' },
+    415: { $ref: '#/components/responses/UnsupportedFormat' },
+    422: { $ref: '#/components/responses/Undecodable' },
+    503: { $ref: '#/components/responses/ModelUnavailable' }
+};
+
+const feedbackErrorResponses = {
+    ...errorResponses,
+    502: { $ref: '#/components/responses/FeedbackUnavailable' }
+};
+
+// Image endpoints come in pairs: multipart upload and local path (/by-path)
+function imageOperation(summary, resultSchema, extraFields = {}) {
+    return {
+        upload: {
+            summary,
+            requestBody: multipartBody({
+                type: 'object',
+                required: ['image'],
+                properties: {
+                    image: { type: 'string', format: 'binary' },
+                    ...extraFields
+                }
+            }),
+            responses: { 200: jsonResponse('Analysis result', resultSchema), ...imageErrorResponses }
+        },
+        byPath: {
+            summary: `${summary} (local file path)`,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['path'],
+                properties: {
+                    path: { $ref: '#/components/schemas/AbsolutePath' },
+                    ...extraFields
+                }
+            }),
+            responses: {
+                200: jsonResponse('Analysis result', resultSchema),
+                403: { $ref: '#/components/responses/Forbidden' },
+                404: { $ref: '#/components/responses/NotFound' },
+                ...imageErrorResponses
+            }
+        }
+    };
+}
+
+function batchOperation(summary, responses) {
+    return {
+        upload: {
+            summary,
+            requestBody: multipartBody({
+                type: 'object',
+                required: ['images'],
+                properties: {
+                    images: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: MAX_BATCH_UPLOADS,
+                        items: { type: 'string', format: 'binary' }
+                    }
+                }
+            }),
+            responses: { ...responses, ...imageErrorResponses }
+        },
+        byPath: {
+            summary: `${summary} (local file paths)`,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['paths'],
+                properties: {
+                    paths: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { $ref: '#/components/schemas/AbsolutePath' }
+                    }
+                }
+            }),
+            responses: {
+                ...responses,
+                403: { $ref: '#/components/responses/Forbidden' },
+                404: { $ref: '#/components/responses/NotFound' },
+                ...imageErrorResponses
+            }
+        }
+    };
+}
+
+const analyzersField = {
+    analyzers: {
+        description: 'Analyzer names, as a JSON array or a comma-separated string',
+        oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string', enum: ANALYZERS } }
+        ]
+    }
+};
+
+// Present when a raw file was analysed through its embedded JPEG preview
+const rawPreview = { raw_preview: { $ref: '#/components/schemas/RawPreview' } };
+
+const quality = imageOperation('Assess technical and aesthetic quality', { $ref: '#/components/schemas/QualityResult' });
+const blur = imageOperation('Detect blur', { $ref: '#/components/schemas/BlurResult' });
+const metadata = imageOperation('Read camera, lens and exposure settings from EXIF', {
+    allOf: [
+        { $ref: '#/components/schemas/PhotoMetadata' },
+        {
+            type: 'object',
+            required: ['width', 'height'],
+            properties: {
+                // Once turned upright by the EXIF orientation
+                width: { type: 'integer' },
+                height: { type: 'integer' },
+                ...rawPreview
+            }
+        }
+    ]
+});
+const analyze = imageOperation('Run selected analyzers on a single decode', { $ref: '#/components/schemas/AnalysisResult' }, analyzersField);
+const exposure = imageOperation('Analyze exposure and histogram', {
+    type: 'object',
+    required: ['exposure'],
+    properties: { exposure: { $ref: '#/components/schemas/Exposure' }, ...rawPreview }
+});
+const saturation = imageOperation('Analyze mean saturation', {
+    type: 'object',
+    required: ['saturation'],
+    properties: { saturation: { type: 'number' }, ...rawPreview }
+});
+const contrast = imageOperation('Analyze global contrast', {
+    type: 'object',
+    required: ['contrast'],
+    properties: { contrast: { type: 'number' }, ...rawPreview }
+});
+
+const batchProcess = batchOperation('Score a batch of photos synchronously', {
+    200: jsonResponse('Per-photo results', {
+        type: 'object',
+        required: ['results'],
+        properties: {
+            results: { type: 'array', items: { $ref: '#/components/schemas/BatchPhotoResult' } },
+            // Set when a shutdown deadline stopped the batch early
+            interrupted: { type: 'boolean' },
+            unprocessed: { type: 'array', items: { type: 'string' } }
+        }
+    })
+});
+const batchStream = batchOperation('Score a batch and stream per-photo events', {
+    200: {
+        description: 'Server-Sent Events: job, photo (one per photo) and summary',
+        content: { 'text/event-stream': { schema: { type: 'string' } } }
+    }
+});
+const jobs = batchOperation('Submit an asynchronous batch job', {
+    202: jsonResponse('Job accepted', { $ref: '#/components/schemas/Job' })
+});
+
+const jobIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+};
+
+const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Pickit Bridge API',
+        description: 'Local HTTP API used by the Lightroom plugin for AI photo analysis',
+        version
+    },
+    servers: [
+        { url: 'http://localhost:3000/v1' },
+        { url: 'http://localhost:3000', description: 'Unversioned routes (deprecated, except the health probes, /capabilities, /formats, /openapi.json and /metrics)' }
+    ],
+    // Every operation needs the per-install token unless it overrides `security`
+    security: [{ bridgeToken: [] }, { bearerToken: [] }],
+    paths: {
+        '/health': {
+            get: {
+                summary: "Server status; 'degraded' while required models are not loaded",
+                responses: {
+                    200: jsonResponse('Server is running', { $ref: '#/components/schemas/Health' }),
+                    401: { $ref: '#/components/responses/Unauthorized' }
+                }
+            }
+        },
+        '/health/live': {
+            get: {
+                summary: 'Liveness probe (no token required)',
+                security: [],
+                responses: {
+                    200: jsonResponse('Process is up', {
+                        type: 'object',
+                        required: ['status', 'uptime'],
+                        properties: {
+                            status: { type: 'string', enum: ['alive'] },
+                            uptime: { type: 'number' }
+                        }
+                    })
+                }
+            }
+        },
+        '/health/ready': {
+            get: {
+                summary: 'Readiness probe with per-model status',
+                responses: {
+                    200: jsonResponse('Ready to score photos', { $ref: '#/components/schemas/Readiness' }),
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    503: jsonResponse('Scores would not be meaningful', { $ref: '#/components/schemas/Readiness' })
+                }
+            }
+        },
+        '/capabilities': {
+            get: {
+                summary: 'Version, analyzers, models, formats and limits supported by this bridge',
+                responses: { 200: jsonResponse('Capabilities', { $ref: '#/components/schemas/Capabilities' }) }
+            }
+        },
+        '/formats': {
+            get: {
+                summary: 'Accepted input formats, recognized by content, and whether this build can decode each',
+                responses: { 200: jsonResponse('Formats', { $ref: '#/components/schemas/Formats' }) }
+            }
+        },
+        '/metrics': {
+            get: {
+                summary: 'Prometheus metrics: request and inference latency, queue depth, memory and errors',
+                responses: {
+                    200: {
+                        description: 'Prometheus text exposition format',
+                        content: { 'text/plain': { schema: { type: 'string' } } }
+                    }
+                }
+            }
+        },
+        '/config': {
+            get: {
+                summary: 'Effective configuration: config file, environment overrides and defaults',
+                responses: {
+                    200: jsonResponse('Current settings', { $ref: '#/components/schemas/EffectiveConfig' }),
+                    ...errorResponses
+                }
+            }
+        },
+        '/admin/config/reload': {
+            post: {
+                summary: 'Reload the config file and environment without restarting (same as SIGHUP)',
+                responses: {
+                    200: jsonResponse('Reloaded; lists the settings that changed', {
+                        type: 'object',
+                        required: ['changed', 'restart_required', 'config'],
+                        properties: {
+                            changed: { type: 'array', items: { type: 'string' } },
+                            restart_required: { type: 'array', items: { type: 'string' } },
+                            config: { $ref: '#/components/schemas/EffectiveConfig' }
+                        }
+                    }),
+                    422: jsonResponse('New settings are invalid; the current ones stay in effect', { $ref: '#/components/schemas/Error' }),
+                    ...errorResponses
+                }
+            }
+        },
+        '/cache': {
+            get: {
+                summary: 'Result cache statistics',
+                responses: {
+                    200: jsonResponse('Cache size, limits and hit counts', { $ref: '#/components/schemas/CacheStats' }),
+                    ...errorResponses
+                }
+            },
+            delete: {
+                summary: 'Delete every cached analysis result',
+                responses: {
+                    200: jsonResponse('Cache purged', {
+                        type: 'object',
+                        required: ['removed_entries', 'freed_bytes'],
+                        properties: {
+                            removed_entries: { type: 'integer' },
+                            freed_bytes: { type: 'integer' }
+                        }
+                    }),
+                    ...errorResponses
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                summary: 'This document',
+                responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+            }
+        },
+        '/models': {
+            get: {
+                summary: 'List available models',
+                responses: {
+                    200: jsonResponse('Available models', {
+                        type: 'object',
+                        required: ['models'],
+                        properties: { models: { type: 'array', items: { $ref: '#/components/schemas/Model' } } }
+                    }),
+                    500: { $ref: '#/components/responses/ServerError' }
+                }
+            }
+        },
+        '/models/load': {
+            post: {
+                summary: 'Load a model',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['modelName'],
+                    properties: { modelName: { type: 'string', minLength: 1 } }
+                }),
+                responses: {
+                    200: jsonResponse('Model loaded', {
+                        type: 'object',
+                        required: ['success'],
+                        properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+                    }),
+                    404: { $ref: '#/components/responses/NotFound' },
+                    503: { $ref: '#/components/responses/ModelUnavailable' },
+                    ...errorResponses
+                }
+            }
+        },
+        '/assess/quality': { post: quality.upload },
+        '/assess/quality/by-path': { post: quality.byPath },
+        '/assess/exposure': { post: exposure.upload },
+        '/assess/exposure/by-path': { post: exposure.byPath },
+        '/assess/saturation': { post: saturation.upload },
+        '/assess/saturation/by-path': { post: saturation.byPath },
+        '/assess/contrast': { post: contrast.upload },
+        '/assess/contrast/by-path': { post: contrast.byPath },
+        '/analyze': { post: analyze.upload },
+        '/analyze/by-path': { post: analyze.byPath },
+        '/detect/faces': {
+            post: {
+                summary: 'Detect faces',
+                requestBody: multipartBody({
+                    type: 'object',
+                    required: ['image'],
+                    properties: { image: { type: 'string', format: 'binary' } }
+                }),
+                responses: { 200: jsonResponse('Detected faces', { $ref: '#/components/schemas/FacesResult' }), ...imageErrorResponses }
+            }
+        },
+        '/detect/blur': { post: blur.upload },
+        '/detect/blur/by-path': { post: blur.byPath },
+        '/metadata': { post: metadata.upload },
+        '/metadata/by-path': { post: metadata.byPath },
+        '/batch/process': { post: batchProcess.upload },
+        '/batch/process/by-path': { post: batchProcess.byPath },
+        '/batch/stream': { post: batchStream.upload },
+        '/batch/stream/by-path': { post: batchStream.byPath },
+        '/jobs': { post: jobs.upload },
+        '/jobs/by-path': { post: jobs.byPath },
+        '/jobs/{id}': {
+            get: {
+                summary: 'Get job progress and partial results',
+                parameters: [jobIdParameter],
+                responses: {
+                    200: jsonResponse('Job state', { $ref: '#/components/schemas/Job' }),
+                    404: { $ref: '#/components/responses/NotFound' }
+                }
+            },
+            delete: {
+                summary: 'Cancel a job',
+                parameters: [jobIdParameter],
+                responses: {
+                    200: jsonResponse('Job state after cancellation', { $ref: '#/components/schemas/Job' }),
+                    404: { $ref: '#/components/responses/NotFound' }
+                }
+            }
+        },
+        '/jobs/{id}/events': {
+            get: {
+                summary: 'Stream job events, resuming after Last-Event-ID',
+                parameters: [
+                    jobIdParameter,
+                    { name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: {
+                        description: 'Server-Sent Events stream',
+                        content: { 'text/event-stream': { schema: { type: 'string' } } }
+                    },
+                    404: { $ref: '#/components/responses/NotFound' }
+                }
+            }
+        },
+        '/compare/similarity': {
+            post: {
+                summary: 'Compare two images',
+                requestBody: multipartBody({
+                    type: 'object',
+                    required: ['images'],
+                    properties: {
+                        images: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'string', format: 'binary' } }
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Similarity', {
+                        type: 'object',
+                        required: ['similarity_score', 'are_similar', 'threshold'],
+                        properties: {
+                            similarity_score: { type: 'number' },
+                            are_similar: { type: 'boolean' },
+                            threshold: { type: 'number' }
+                        }
+                    }),
+                    ...imageErrorResponses
+                }
+            }
+        },
+        '/feedback/submit': {
+            post: {
+                summary: 'Submit user feedback',
+                requestBody: jsonBody({ $ref: '#/components/schemas/Feedback' }),
+                responses: { 200: jsonResponse('Feedback stored', { type: 'object' }), ...feedbackErrorResponses }
+            }
+        },
+        '/feedback/check-responses': {
+            post: {
+                summary: 'Check team responses to earlier feedback',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['submissionIds'],
+                    properties: {
+                        submissionIds: { type: 'array', items: { type: 'string' } }
+                    }
+                }),
+                responses: { 200: jsonResponse('Responses', { type: 'array', items: { type: 'object' } }), ...feedbackErrorResponses }
+            }
+        },
+        '/feedback/statistics': {
+            get: {
+                summary: 'Feedback statistics',
+                responses: { 200: jsonResponse('Statistics', { type: ['object', 'null'] }), ...feedbackErrorResponses }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            AbsolutePath: {
+                type: 'string',
+                minLength: 1,
+                description: 'Absolute path inside one of the configured ALLOWED_ROOTS'
+            },
+            Error: {
+                type: 'object',
+                required: ['error', 'code', 'retryable'],
+                properties: {
+                    error: { type: 'string', description: 'Human-readable message' },
+                    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Machine-readable error code' },
+                    retryable: { type: 'boolean', description: 'Whether resending the same request may succeed' },
+                    hint: { type: 'string', description: 'What the user can do about it' },
+                    retry_after: { type: 'integer', description: 'Seconds to wait before retrying' },
+                    request_id: { type: 'string', description: 'Same as the X-Request-ID response header; appears in every server log line for the request' },
+                    details: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['field', 'message'],
+                            properties: {
+                                field: { type: 'string' },
+                                message: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            Health: {
+                type: 'object',
+                required: ['status', 'version', 'uptime'],
+                properties: {
+                    status: { type: 'string', enum: ['healthy', 'degraded'] },
+                    ready: { type: 'boolean' },
+                    version: { type: 'string' },
+                    uptime: { type: 'number' },
+                    queue: {
+                        type: 'object',
+                        properties: {
+                            active: { type: 'integer' },
+                            queued: { type: 'integer' },
+                            megapixels_in_flight: { type: 'number' },
+                            max_concurrent: { type: 'integer' },
+                            max_megapixels: { type: 'number' },
+                            max_queue: { type: 'integer' }
+                        }
+                    }
+                }
+            },
+            CacheStats: {
+                type: 'object',
+                required: ['enabled', 'entries', 'size_bytes', 'hits', 'misses'],
+                properties: {
+                    enabled: { type: 'boolean' },
+                    dir: { type: 'string' },
+                    entries: { type: 'integer' },
+                    size_bytes: { type: 'integer' },
+                    max_size_bytes: { type: 'number' },
+                    max_age_days: { type: 'number' },
+                    hits: { type: 'integer' },
+                    misses: { type: 'integer' }
+                }
+            },
+            EffectiveConfig: {
+                type: 'object',
+                required: ['file', 'file_loaded', 'env_overrides', 'settings'],
+                properties: {
+                    file: { type: 'string' },
+                    file_loaded: { type: 'boolean' },
+                    env_overrides: { type: 'array', items: { type: 'string' } },
+                    loaded_at: { type: 'string' },
+                    // Settings that only take effect after a restart
+                    restart_required: { type: 'array', items: { type: 'string' } },
+                    settings: CONFIG_SCHEMA
+                }
+            },
+            Readiness: {
+                type: 'object',
+                required: ['ready', 'status', 'models'],
+                properties: {
+                    ready: { type: 'boolean' },
+                    status: { type: 'string', enum: ['ready', 'not_ready', 'starting'] },
+                    message: { type: 'string' },
+                    models: { $ref: '#/components/schemas/ModelStatuses' },
+                    // Not counted in ready: without them only their endpoints fail, with a 503
+                    optional_models: { $ref: '#/components/schemas/ModelStatuses' }
+                }
+            },
+            ModelStatuses: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['status'],
+                    properties: {
+                        status: { type: 'string', enum: ['missing', 'mock', 'loaded', 'failed'] },
+                        reason: { type: 'string' }
+                    }
+                }
+            },
+            Capabilities: {
+                type: 'object',
+                required: ['version', 'api_versions', 'analyzers', 'models', 'formats', 'limits'],
+                properties: {
+                    version: { type: 'string' },
+                    api_versions: { type: 'array', items: { type: 'string' } },
+                    analyzers: { type: 'array', items: { type: 'string' } },
+                    models: {
+                        type: 'object',
+                        properties: {
+                            available: { type: 'array', items: { type: 'string' } },
+                            loaded: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    formats: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'File extensions of the decodable formats; see /formats for details'
+                    },
+                    limits: {
+                        type: 'object',
+                        properties: {
+                            max_file_size: { type: 'integer' },
+                            max_batch_uploads: { type: 'integer' },
+                            max_batch_paths: { type: 'integer' },
+                            max_megapixels: { type: 'number' }
+                        }
+                    },
+                    features: { type: 'object', additionalProperties: { type: 'boolean' } }
+                }
+            },
+            Formats: {
+                type: 'object',
+                required: ['formats'],
+                properties: {
+                    formats: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'name', 'extensions', 'mime_types', 'available'],
+                            properties: {
+                                id: { type: 'string' },
+                                name: { type: 'string' },
+                                extensions: { type: 'array', items: { type: 'string' } },
+                                mime_types: { type: 'array', items: { type: 'string' } },
+                                available: {
+                                    type: 'boolean',
+                                    description: 'False when the installed image library lacks the decoder (e.g. HEVC for HEIC)'
+                                },
+                                via: { type: 'string', description: 'How the format is analysed when not decoded directly' }
+                            }
+                        }
+                    }
+                }
+            },
+            Model: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    size: { type: 'string' }
+                }
+            },
+            QualityScores: {
+                type: 'object',
+                required: ['technical', 'aesthetic', 'overall'],
+                properties: {
+                    technical: { type: 'number' },
+                    aesthetic: { type: 'number' },
+                    overall: { type: 'number' },
+                    details: { type: 'object' }
+                }
+            },
+            QualityResult: {
+                type: 'object',
+                required: ['technical_score', 'aesthetic_score', 'overall_score'],
+                properties: {
+                    technical_score: { type: 'number' },
+                    aesthetic_score: { type: 'number' },
+                    overall_score: { type: 'number' },
+                    details: { type: 'object' },
+                    ...rawPreview
+                }
+            },
+            RawPreview: {
+                type: 'object',
+                description: 'Embedded JPEG preview analysed in place of a raw file',
+                required: ['width', 'height', 'bytes'],
+                properties: {
+                    width: { type: 'integer' },
+                    height: { type: 'integer' },
+                    bytes: { type: 'integer' }
+                }
+            },
+            BlurResult: {
+                type: 'object',
+                required: ['blur_score', 'is_blurry', 'threshold', 'sharpest_region', 'sharpness_map'],
+                properties: {
+                    blur_score: {
+                        type: 'number',
+                        description: 'Laplacian variance of the whole image at the working resolution; comparable between cameras'
+                    },
+                    is_blurry: { type: 'boolean', description: 'The sharpest region scores below threshold' },
+                    threshold: { type: 'number' },
+                    sharpest_region: {
+                        type: 'object',
+                        description: 'Tile with the highest score; x, y, width and height are fractions of the image size',
+                        properties: {
+                            row: { type: 'integer' },
+                            col: { type: 'integer' },
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            width: { type: 'number' },
+                            height: { type: 'number' },
+                            score: { type: 'number' }
+                        }
+                    },
+                    sharpness_map: {
+                        type: 'object',
+                        description: 'Per-tile scores, row by row from the top left',
+                        properties: {
+                            rows: { type: 'integer' },
+                            cols: { type: 'integer' },
+                            scores: { type: 'array', items: { type: 'array', items: { type: 'number' } } }
+                        }
+                    },
+                    classification: {
+                        type: 'object',
+                        required: ['type', 'confidence'],
+                        properties: {
+                            type: { type: 'string', enum: BLUR_TYPES },
+                            confidence: { type: 'number', minimum: 0.5, maximum: 1 },
+                            coherence: {
+                                type: 'number',
+                                description: 'How strongly the tiles agree on one blur direction, 0 to 1'
+                            },
+                            motion_direction: {
+                                type: ['integer', 'null'],
+                                description: 'Degrees counter-clockwise from horizontal (0-179) along which detail is smeared; null unless motion_blurred'
+                            }
+                        }
+                    },
+                    working_resolution: {
+                        type: 'object',
+                        properties: {
+                            width: { type: 'integer' },
+                            height: { type: 'integer' }
+                        }
+                    },
+                    camera_shake: { $ref: '#/components/schemas/CameraShake' },
+                    ...rawPreview
+                }
+            },
+            FacesResult: {
+                type: 'object',
+                required: ['face_count', 'faces'],
+                properties: {
+                    face_count: { type: 'integer' },
+                    faces: { type: 'array', items: { $ref: '#/components/schemas/Face' } },
+                    ...rawPreview
+                }
+            },
+            Face: {
+                type: 'object',
+                required: ['bbox', 'confidence', 'landmarks', 'quality'],
+                properties: {
+                    bbox: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        minItems: 4,
+                        maxItems: 4,
+                        description: '[x1, y1, x2, y2] in pixels of the upright original image (of the embedded preview for camera raw files)'
+                    },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    landmarks: {
+                        type: 'null',
+                        description: 'Always null: the UltraFace detector locates faces but not facial landmarks'
+                    },
+                    quality: { type: 'string', enum: ['good', 'medium', 'poor'], description: 'From the share of the frame the face fills' }
+                }
+            },
+            ChannelRatios: {
+                type: 'object',
+                properties: {
+                    r: { type: 'number' },
+                    g: { type: 'number' },
+                    b: { type: 'number' },
+                    luminance: { type: 'number' }
+                }
+            },
+            Exposure: {
+                type: 'object',
+                required: ['isUnderexposed', 'isOverexposed', 'meanLuminance', 'clipping', 'histogram'],
+                properties: {
+                    isUnderexposed: { type: 'boolean' },
+                    isOverexposed: { type: 'boolean' },
+                    underexposureRatio: { type: 'number' },
+                    overexposureRatio: { type: 'number' },
+                    meanLuminance: { type: 'number' },
+                    clipping: {
+                        type: 'object',
+                        properties: {
+                            shadows: { $ref: '#/components/schemas/ChannelRatios' },
+                            highlights: { $ref: '#/components/schemas/ChannelRatios' }
+                        }
+                    },
+                    histogram: {
+                        type: 'object',
+                        properties: {
+                            r: { type: 'array', items: { type: 'integer' } },
+                            g: { type: 'array', items: { type: 'integer' } },
+                            b: { type: 'array', items: { type: 'integer' } },
+                            luminance: { type: 'array', items: { type: 'integer' } }
+                        }
+                    }
+                }
+            },
+            AnalysisResult: {
+                type: 'object',
+                required: ['width', 'height', 'analyzers'],
+                properties: {
+                    filename: { type: 'string' },
+                    width: { type: 'integer' },
+                    height: { type: 'integer' },
+                    analyzers: { type: 'array', items: { type: 'string', enum: ANALYZERS } },
+                    quality: { $ref: '#/components/schemas/QualityResult' },
+                    blur: { $ref: '#/components/schemas/BlurResult' },
+                    faces: { $ref: '#/components/schemas/FacesResult' },
+                    exposure: { $ref: '#/components/schemas/Exposure' },
+                    saturation: { type: 'number' },
+                    contrast: { type: 'number' },
+                    similarity_embedding: { type: 'array', items: { type: 'number' } },
+                    errors: {
+                        type: 'object',
+                        description: 'Analyzers that failed, by name; the others still report results',
+                        additionalProperties: { $ref: '#/components/schemas/Error' }
+                    },
+                    ...rawPreview
+                }
+            },
+            CameraShake: {
+                type: 'object',
+                description: 'Camera-shake risk from shutter speed against 35 mm equivalent focal length (reciprocal rule), tempered by the measured sharpness',
+                required: ['risk', 'likely_motion_blur'],
+                properties: {
+                    risk: { type: ['number', 'null'], minimum: 0, maximum: 1, description: 'Null when EXIF lacks the exposure time or focal length' },
+                    likely_motion_blur: { type: 'boolean' },
+                    equivalent_focal_length: { type: ['integer', 'null'] },
+                    crop_factor: { type: ['number', 'null'] },
+                    safe_shutter_speed: { type: ['string', 'null'], description: 'Slowest hand-holdable shutter speed, including stabilization' },
+                    stops_over: { type: ['number', 'null'], description: 'Stops slower than safe_shutter_speed; negative when faster' }
+                }
+            },
+            PhotoMetadata: {
+                type: 'object',
+                description: 'EXIF camera and exposure settings; null when the file does not record them',
+                required: ['make', 'model', 'lens', 'iso', 'exposure_time', 'shutter_speed', 'aperture',
+                    'focal_length', 'focal_length_35mm', 'captured_at', 'orientation'],
+                properties: {
+                    make: { type: ['string', 'null'] },
+                    model: { type: ['string', 'null'] },
+                    lens: { type: ['string', 'null'] },
+                    iso: { type: ['integer', 'null'] },
+                    exposure_time: { type: ['number', 'null'], description: 'Seconds' },
+                    shutter_speed: { type: ['string', 'null'], examples: ['1/250', '2s'] },
+                    aperture: { type: ['number', 'null'], description: 'f-number' },
+                    focal_length: { type: ['number', 'null'], description: 'Millimetres' },
+                    focal_length_35mm: { type: ['integer', 'null'], description: '35 mm equivalent, in millimetres' },
+                    captured_at: {
+                        type: ['string', 'null'],
+                        description: 'Capture time as recorded by the camera, with its UTC offset when known',
+                        examples: ['2024-06-01T14:03:22+02:00']
+                    },
+                    orientation: { type: ['integer', 'null'], minimum: 1, maximum: 8 }
+                }
+            },
+            BatchPhotoResult: {
+                type: 'object',
+                required: ['filename', 'success'],
+                properties: {
+                    filename: { type: 'string' },
+                    success: { type: 'boolean' },
+                    scores: { $ref: '#/components/schemas/QualityScores' },
+                    blur_score: { type: 'number' },
+                    is_blurry: { type: 'boolean' },
+                    camera_shake: { $ref: '#/components/schemas/CameraShake' },
+                    exposure: { $ref: '#/components/schemas/Exposure' },
+                    saturation: { type: 'number' },
+                    contrast: { type: 'number' },
+                    metadata: { $ref: '#/components/schemas/PhotoMetadata' },
+                    ...rawPreview,
+                    error: { type: 'string' },
+                    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                    retryable: { type: 'boolean' }
+                }
+            },
+            Job: {
+                type: 'object',
+                required: ['job_id', 'status', 'progress', 'photos', 'results'],
+                properties: {
+                    job_id: { type: 'string' },
+                    status: { type: 'string', enum: ['queued', 'running', 'completed', 'cancelled', 'interrupted', 'failed'] },
+                    cancel_requested: { type: 'boolean' },
+                    created_at: { type: 'string' },
+                    started_at: { type: ['string', 'null'] },
+                    finished_at: { type: ['string', 'null'] },
+                    progress: {
+                        type: 'object',
+                        required: ['total', 'processed'],
+                        properties: {
+                            total: { type: 'integer' },
+                            processed: { type: 'integer' },
+                            completed: { type: 'integer' },
+                            failed: { type: 'integer' },
+                            percent: { type: 'integer' }
+                        }
+                    },
+                    photos: { type: 'array', items: { type: 'object' } },
+                    results: { type: 'array', items: { $ref: '#/components/schemas/BatchPhotoResult' } },
+                    error: { type: 'string' }
+                }
+            },
+            Feedback: {
+                type: 'object',
+                properties: {
+                    submissionId: { type: 'string' },
+                    timestamp: { type: 'string' },
+                    pluginVersion: { type: 'string' },
+                    lightroomVersion: { type: 'string' },
+                    osInfo: { type: 'string' },
+                    feedbackType: { type: 'string' },
+                    category: { type: 'string' },
+                    rating: { type: 'integer', minimum: 0, maximum: 5 },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    userName: { type: 'string' },
+                    userEmail: { type: 'string' },
+                    contactPermission: { type: 'boolean' },
+                    screenshotUrl: { type: 'string' },
+                    deviceInfo: { type: 'string' },
+                    usageFrequency: { type: 'string' },
+                    professionalLevel: { type: 'string' }
+                }
+            }
+        },
+        securitySchemes: {
+            bridgeToken: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-Pickit-Token',
+                description: 'Contents of the bridge token file (BRIDGE_TOKEN_FILE, default ~/.pickit/bridge-token)'
+            },
+            bearerToken: {
+                type: 'http',
+                scheme: 'bearer'
+            }
+        },
+        responses: {
+            BadRequest: jsonResponse('Invalid request', { $ref: '#/components/schemas/Error' }),
+            Unauthorized: jsonResponse('Missing or invalid bridge token', { $ref: '#/components/schemas/Error' }),
+            Forbidden: jsonResponse('Path not allowed', { $ref: '#/components/schemas/Error' }),
+            NotFound: jsonResponse('Resource not found', { $ref: '#/components/schemas/Error' }),
+            Busy: {
+                ...jsonResponse('Inference queue full; retry after the Retry-After header', { $ref: '#/components/schemas/Error' }),
+                headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } }
+            },
+            PayloadTooLarge: jsonResponse('Upload exceeds the size limit', { $ref: '#/components/schemas/Error' }),
+            UnsupportedFormat: jsonResponse('Not a supported image format', { $ref: '#/components/schemas/Error' }),
+            Undecodable: jsonResponse('Image is corrupt or too large to decode', { $ref: '#/components/schemas/Error' }),
+            ModelUnavailable: jsonResponse('Required model is missing or not loaded, or the bridge is shutting down', { $ref: '#/components/schemas/Error' }),
+            FeedbackUnavailable: jsonResponse('Feedback backend could not be reached', { $ref: '#/components/schemas/Error' }),
+            ServerError: jsonResponse('Internal error', { $ref: '#/components/schemas/Error' }),
+            ShuttingDown: jsonResponse('Bridge is shutting down and no longer accepts work', { $ref: '#/components/schemas/Error' })
+        }
+    }
+};
+
+module.exports = spec;
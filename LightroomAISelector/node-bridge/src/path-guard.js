@@ -0,0 +1,92 @@
+/**
+ * Path Guard Module
+ * Resolves local photo paths and keeps them inside the configured allowed roots
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const BridgeError = require('./errors');
+
+class PathGuard {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - paths.allowedRoots, read live so a reload applies
+     */
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+    }
+
+    get allowedRoots() {
+        return this.config.get('paths.allowedRoots')
+            .filter(root => root && root.trim())
+            .map(root => path.resolve(root.trim()));
+    }
+
+    /**
+     * Resolve a requested path to a real file inside one of the allowed roots
+     * @param {string} requestedPath - Absolute path sent by the client
+     * @returns {Promise<Object>} File descriptor ({ originalname, path, size })
+     */
+    async resolve(requestedPath) {
+        if (this.allowedRoots.length === 0) {
+            throw new BridgeError('PATH_ACCESS_DISABLED', 'Path-based access is disabled. Set paths.allowedRoots (or ALLOWED_ROOTS) to enable it.');
+        }
+
+        if (typeof requestedPath !== 'string' || !path.isAbsolute(requestedPath)) {
+            throw new BridgeError('INVALID_PATH', `Path must be absolute: ${requestedPath}`);
+        }
+
+        // Resolve symlinks so a link inside a root cannot point outside it
+        let realPath;
+        try {
+            realPath = await fs.realpath(requestedPath);
+        } catch {
+            throw new BridgeError('FILE_NOT_FOUND', `File not found: ${requestedPath}`);
+        }
+
+        if (!(await this.isInsideAllowedRoot(realPath))) {
+            this.logger.warn(`Rejected path outside allowed roots: ${requestedPath}`);
+            throw new BridgeError('PATH_FORBIDDEN', `Path is outside the allowed roots: ${requestedPath}`);
+        }
+
+        const stats = await fs.stat(realPath);
+        if (!stats.isFile()) {
+            throw new BridgeError('INVALID_PATH', `Not a file: ${requestedPath}`);
+        }
+
+        return {
+            originalname: path.basename(realPath),
+            path: realPath,
+            size: stats.size
+        };
+    }
+
+    async resolveAll(requestedPaths) {
+        const files = [];
+        for (const requestedPath of requestedPaths) {
+            files.push(await this.resolve(requestedPath));
+        }
+        return files;
+    }
+
+    async isInsideAllowedRoot(realPath) {
+        for (const root of this.allowedRoots) {
+            let realRoot;
+            try {
+                realRoot = await fs.realpath(root);
+            } catch {
+                continue; // Root does not exist on this machine
+            }
+
+            const relative = path.relative(realRoot, realPath);
+            if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
+
+module.exports = PathGuard;
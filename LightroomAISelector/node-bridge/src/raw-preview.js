@@ -0,0 +1,223 @@
+/**
+ * RAW Preview Module
+ * sharp cannot decode camera raw data, but DNG and the TIFF-based raw formats
+ * (CR2, NEF, ARW, RW2...) and RAF all embed JPEG previews rendered by the
+ * camera. This finds the largest one that sharp can decode, so raw files are
+ * analysed through their preview instead of failing.
+ */
+
+const BridgeError = require('./errors');
+const TiffReader = require('./tiff-reader');
+
+const TAGS = {
+    JPG_FROM_RAW: 0x002E, // Panasonic RW2
+    COMPRESSION: 0x0103,
+    PHOTOMETRIC: 0x0106,
+    STRIP_OFFSETS: 0x0111,
+    ORIENTATION: 0x0112,
+    STRIP_BYTE_COUNTS: 0x0117,
+    JPEG_OFFSET: 0x0201,
+    JPEG_LENGTH: 0x0202,
+    DNG_VERSION: 0xC612
+};
+
+// Compression values of JPEG-encoded strips (old-style and new-style JPEG)
+const JPEG_COMPRESSION = [6, 7];
+
+// Photometric interpretations only raw sensor data uses (CFA, LinearRaw)
+const RAW_PHOTOMETRIC = [32803, 34892];
+
+const RAF_MAGIC = 'FUJIFILMCCD-RAW ';
+
+/**
+ * Whether a file is camera raw rather than an ordinary TIFF, JPEG or PNG
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Format from image-format's sniffFormat()
+ */
+function isRaw(buffer, format) {
+    if (format === 'raw') {
+        return true;
+    }
+    if (format !== 'tiff') {
+        return false;
+    }
+
+    // Canon CR2 marks itself right after the TIFF header
+    if (buffer.toString('latin1', 8, 10) === 'CR') {
+        return true;
+    }
+
+    try {
+        const reader = new TiffReader(buffer);
+        const ifds = reader.readIfds();
+        return ifds.length > 0 && (
+            ifds[0].has(TAGS.DNG_VERSION) ||
+            ifds.some(ifd => RAW_PHOTOMETRIC.includes(reader.value(ifd, TAGS.PHOTOMETRIC)))
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Byte ranges of the JPEG streams a raw file embeds
+ * @returns {Array<Object>} { offset, length }
+ */
+function findEmbeddedJpegs(buffer) {
+    if (buffer.toString('latin1', 0, RAF_MAGIC.length) === RAF_MAGIC) {
+        // Fujifilm RAF: fixed header pointing at the preview
+        return buffer.length >= 92 ? [{ offset: buffer.readUInt32BE(84), length: buffer.readUInt32BE(88) }] : [];
+    }
+
+    const reader = new TiffReader(buffer);
+    const candidates = [];
+
+    for (const ifd of reader.readIfds()) {
+        const jpegOffset = reader.value(ifd, TAGS.JPEG_OFFSET);
+        if (jpegOffset) {
+            candidates.push({ offset: jpegOffset, length: reader.value(ifd, TAGS.JPEG_LENGTH) });
+        }
+
+        // A single JPEG-compressed strip: CR2 and DNG previews
+        const strips = reader.values(ifd.get(TAGS.STRIP_OFFSETS));
+        if (strips.length === 1 && JPEG_COMPRESSION.includes(reader.value(ifd, TAGS.COMPRESSION))) {
+            candidates.push({ offset: strips[0], length: reader.value(ifd, TAGS.STRIP_BYTE_COUNTS) });
+        }
+
+        const jpgFromRaw = ifd.get(TAGS.JPG_FROM_RAW);
+        if (jpgFromRaw) {
+            candidates.push({ offset: jpgFromRaw.valueOffset, length: jpgFromRaw.count });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Dimensions of a baseline or progressive JPEG; null for anything sharp cannot
+ * decode, such as the lossless JPEG holding the raw data of DNG and CR2
+ */
+function readJpegSize(jpeg) {
+    if (jpeg.length < 4 || jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) {
+        return null;
+    }
+
+    let offset = 2;
+    while (offset + 9 <= jpeg.length) {
+        if (jpeg[offset] !== 0xFF) {
+            return null;
+        }
+
+        const marker = jpeg[offset + 1];
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+        if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+            return { height: jpeg.readUInt16BE(offset + 5), width: jpeg.readUInt16BE(offset + 7) };
+        }
+        if ((marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) || marker === 0xDA) {
+            return null; // Lossless or arithmetic coded, or image data before any frame header
+        }
+
+        offset += 2 + jpeg.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * EXIF orientation of a TIFF-based raw file; undefined for RAF, whose preview
+ * carries its own EXIF
+ */
+function readOrientation(buffer) {
+    if (buffer.toString('latin1', 0, RAF_MAGIC.length) === RAF_MAGIC) {
+        return undefined;
+    }
+    try {
+        const reader = new TiffReader(buffer);
+        return reader.value(reader.readIfd(reader.u32(4)).entries, TAGS.ORIENTATION);
+    } catch {
+        return undefined;
+    }
+}
+
+function hasExifSegment(jpeg) {
+    // APPn segments follow the SOI marker; EXIF is an APP1 starting with "Exif\0\0"
+    let offset = 2;
+    while (offset + 10 <= jpeg.length && jpeg[offset] === 0xFF && jpeg[offset + 1] >= 0xE0 && jpeg[offset + 1] <= 0xEF) {
+        if (jpeg[offset + 1] === 0xE1 && jpeg.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            return true;
+        }
+        offset += 2 + jpeg.readUInt16BE(offset + 2);
+    }
+    return false;
+}
+
+/**
+ * Previews of TIFF-based raws rarely have EXIF of their own, so they would be
+ * analysed in sensor orientation. This gives a preview a minimal EXIF segment
+ * with the raw's orientation, so decoding turns it upright like the raw.
+ */
+function withOrientation(jpeg, orientation) {
+    if (!orientation || orientation === 1 || hasExifSegment(jpeg)) {
+        return jpeg;
+    }
+
+    const segment = Buffer.alloc(36);
+    segment.writeUInt16BE(0xFFE1, 0);
+    segment.writeUInt16BE(segment.length - 2, 2);
+    segment.write('Exif\0\0MM\0*', 4, 'latin1');
+    segment.writeUInt32BE(8, 14); // IFD0 right after the TIFF header
+    segment.writeUInt16BE(1, 18); // One entry: Orientation, SHORT, count 1
+    segment.writeUInt16BE(TAGS.ORIENTATION, 20);
+    segment.writeUInt16BE(3, 22);
+    segment.writeUInt32BE(1, 24);
+    segment.writeUInt16BE(orientation, 28);
+    // Next IFD offset stays 0
+
+    return Buffer.concat([jpeg.subarray(0, 2), segment, jpeg.subarray(2)]);
+}
+
+/**
+ * Largest decodable embedded preview of a raw file
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} { data, width, height } with data a copy of the JPEG bytes,
+ *   carrying the raw file's orientation
+ * @throws {BridgeError} UNSUPPORTED_RAW_VARIANT when there is no usable preview
+ */
+function extractPreview(buffer) {
+    let best = null;
+
+    let candidates = [];
+    try {
+        candidates = findEmbeddedJpegs(buffer);
+    } catch {
+        // Malformed container: same outcome as finding no preview
+    }
+
+    for (const { offset, length } of candidates) {
+        if (!length || offset + length > buffer.length) {
+            continue;
+        }
+
+        const jpeg = buffer.subarray(offset, offset + length);
+        const size = readJpegSize(jpeg);
+        if (size && (!best || size.width * size.height > best.width * best.height)) {
+            best = { jpeg, ...size };
+        }
+    }
+
+    if (!best) {
+        throw new BridgeError('UNSUPPORTED_RAW_VARIANT');
+    }
+
+    // Copy, so the much larger raw file can be freed
+    const data = withOrientation(Buffer.from(best.jpeg), readOrientation(buffer));
+    return { data, width: best.width, height: best.height };
+}
+
+module.exports = {
+    isRaw,
+    extractPreview
+};
@@ -0,0 +1,165 @@
+/**
+ * Request Context Module
+ * Tracks the current request (ID, route, photo) across async calls so every
+ * log line can be matched to the plugin request that caused it, and keeps
+ * image bytes and email addresses out of the logs.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const winston = require('winston');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// Incoming IDs are echoed into headers and logs, so only accept plain tokens
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const DATA_URI_PATTERN = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+const BASE64_RUN_PATTERN = /[A-Za-z0-9+/]{512,}={0,2}/g;
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+class RequestContext {
+    /**
+     * The context of the request being handled, or null outside of one
+     */
+    static current() {
+        return storage.getStore() || null;
+    }
+
+    /**
+     * Add fields (photo, model...) to the current request's context
+     */
+    static annotate(fields) {
+        const context = storage.getStore();
+        if (context) {
+            Object.assign(context, fields);
+        }
+    }
+
+    /**
+     * Run fn with extra context fields that only apply inside it,
+     * e.g. the photo a batch is currently scoring
+     */
+    static withFields(fields, fn) {
+        return storage.run({ ...(storage.getStore() || {}), ...fields }, fn);
+    }
+
+    /**
+     * Express middleware assigning a request ID (taken from X-Request-ID when
+     * valid), echoing it back, and logging one line per completed request
+     * @param {Object} logger - winston logger
+     */
+    static middleware(logger) {
+        return (req, res, next) => {
+            const incoming = req.get(REQUEST_ID_HEADER);
+            const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+            const context = {
+                requestId,
+                route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+                startedAt: process.hrtime.bigint()
+            };
+
+            res.set('X-Request-ID', requestId);
+
+            res.on('finish', () => {
+                storage.run(context, () => {
+                    logger.info(`${context.route} ${res.statusCode}`, { status: res.statusCode });
+                });
+            });
+
+            storage.run(context, () => {
+                // Body parsers (multer, body-parser) call next() from stream events, which
+                // would otherwise run outside this request's context
+                req.emit = AsyncResource.bind(req.emit.bind(req));
+                next();
+            });
+        };
+    }
+
+    /**
+     * winston format adding request ID, route, photo and elapsed time to each entry
+     */
+    static format() {
+        return winston.format((info) => {
+            const context = storage.getStore();
+            if (!context) {
+                return info;
+            }
+
+            const { startedAt, ...fields } = context;
+            for (const [key, value] of Object.entries(fields)) {
+                if (info[key] === undefined) {
+                    info[key] = value;
+                }
+            }
+            if (startedAt) {
+                info.elapsedMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+            }
+
+            return info;
+        })();
+    }
+
+    /**
+     * winston format replacing binary data, base64 payloads and email addresses
+     */
+    static redactFormat() {
+        return winston.format((info) => {
+            for (const key of Object.keys(info)) {
+                info[key] = RequestContext.redact(info[key]);
+            }
+            return info;
+        })();
+    }
+
+    /**
+     * Copy of a log value that is safe to write. Never mutates the original,
+     * which may still be on its way into a response.
+     */
+    static redact(value, depth = 0, seen = new WeakSet()) {
+        if (typeof value === 'string') {
+            return value
+                .replace(DATA_URI_PATTERN, (match) => `[data URI, ${match.length} chars]`)
+                .replace(BASE64_RUN_PATTERN, (match) => `[base64, ${match.length} chars]`)
+                .replace(EMAIL_PATTERN, '[email]');
+        }
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        if (Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+            return `[binary, ${value.byteLength} bytes]`;
+        }
+
+        if (seen.has(value) || depth >= MAX_DEPTH) {
+            return '[omitted]';
+        }
+        seen.add(value);
+
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: RequestContext.redact(value.message, depth + 1, seen),
+                code: value.code,
+                stack: RequestContext.redact(value.stack, depth + 1, seen)
+            };
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => RequestContext.redact(item, depth + 1, seen));
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = RequestContext.redact(item, depth + 1, seen);
+        }
+        return copy;
+    }
+}
+
+RequestContext.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+
+module.exports = RequestContext;
@@ -0,0 +1,163 @@
+/**
+ * Request Validator Module
+ * Validates request bodies (JSON and multipart) against the OpenAPI document
+ * and reports field-level errors as 400 responses
+ */
+
+const Ajv = require('ajv');
+const BridgeError = require('./errors');
+
+const SPEC_ID = 'openapi.json';
+
+class RequestValidator {
+    constructor(spec, logger, options = {}) {
+        this.spec = spec;
+        this.logger = logger;
+        this.validateResponses = options.validateResponses || false;
+
+        // The OpenAPI document is registered as one schema so that
+        // '#/components/...' references resolve from any operation
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.ajv.addFormat('binary', true);
+        this.ajv.addSchema(spec, SPEC_ID);
+    }
+
+    /**
+     * Build validation middleware for one operation. Place it after multer so
+     * uploaded files are visible as fields.
+     * @param {string} method - HTTP method (lowercase)
+     * @param {string} routePath - Path as written in the OpenAPI document
+     * @returns {Function} Express middleware
+     */
+    validate(method, routePath) {
+        const operation = this.spec.paths[routePath] && this.spec.paths[routePath][method];
+        if (!operation) {
+            throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${routePath}`);
+        }
+
+        const pointer = `#/paths/${this.escapePointer(routePath)}/${method}`;
+        const validateBody = this.compileBody(operation, pointer);
+        const validateResponse = this.validateResponses
+            ? this.compileResponses(operation, pointer)
+            : null;
+
+        return (req, res, next) => {
+            if (validateResponse) {
+                this.checkResponses(req, res, validateResponse);
+            }
+
+            if (!validateBody) {
+                return next();
+            }
+
+            const body = this.collectBody(req);
+            if (validateBody(body)) {
+                return next();
+            }
+
+            next(new BridgeError('VALIDATION_FAILED', 'Validation failed', {
+                details: this.formatErrors(validateBody.errors)
+            }));
+        };
+    }
+
+    compileBody(operation, pointer) {
+        if (!operation.requestBody) {
+            return null;
+        }
+
+        const contentType = Object.keys(operation.requestBody.content)[0];
+        return this.ajv.getSchema(
+            `${SPEC_ID}${pointer}/requestBody/content/${this.escapePointer(contentType)}/schema`
+        );
+    }
+
+    compileResponses(operation, pointer) {
+        const validators = {};
+
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+            const resolved = response.$ref ? this.resolveRef(response.$ref) : response;
+            const media = resolved.content && resolved.content['application/json'];
+            if (!media) continue;
+
+            const schemaPointer = response.$ref
+                ? `${response.$ref}/content/application~1json/schema`
+                : `${pointer}/responses/${status}/content/application~1json/schema`;
+            validators[status] = this.ajv.getSchema(`${SPEC_ID}${schemaPointer}`);
+        }
+
+        return validators;
+    }
+
+    /**
+     * Log, rather than fail, when a handler returns a body that does not match the spec
+     */
+    checkResponses(req, res, validators) {
+        const originalJson = res.json.bind(res);
+
+        res.json = (body) => {
+            const validateResponse = validators[res.statusCode];
+            if (validateResponse && !validateResponse(body)) {
+                this.logger.warn(`Response for ${req.method} ${req.path} (${res.statusCode}) does not match the OpenAPI document`, {
+                    errors: this.formatErrors(validateResponse.errors)
+                });
+            }
+            return originalJson(body);
+        };
+    }
+
+    /**
+     * Merge multipart files into the body so file fields can be validated like any other
+     */
+    collectBody(req) {
+        const body = { ...(req.body || {}) };
+
+        if (req.file) {
+            body[req.file.fieldname] = req.file.originalname;
+        }
+
+        if (Array.isArray(req.files)) {
+            for (const file of req.files) {
+                if (!file.fieldname) continue; // Path-based files have no form field
+                body[file.fieldname] = body[file.fieldname] || [];
+                body[file.fieldname].push(file.originalname);
+            }
+        }
+
+        return body;
+    }
+
+    formatErrors(errors = []) {
+        return errors.map(error => {
+            let field = error.instancePath
+                .split('/')
+                .filter(Boolean)
+                .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+                .join('')
+                .replace(/^\./, '');
+
+            if (error.keyword === 'required') {
+                field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+            }
+
+            return {
+                field: field || '(body)',
+                message: error.message
+            };
+        });
+    }
+
+    resolveRef(ref) {
+        return ref
+            .replace(/^#\//, '')
+            .split('/')
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, part) => node[part], this.spec);
+    }
+
+    escapePointer(value) {
+        return value.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
+
+module.exports = RequestValidator;
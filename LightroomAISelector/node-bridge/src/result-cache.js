@@ -0,0 +1,262 @@
+/**
+ * Result Cache Module
+ * Disk-backed cache of analysis results keyed by image content hash, model
+ * version and analysis options, so re-scoring a shoot skips decoding and
+ * inference. Entries survive restarts and are evicted by age and total size.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Hash of an encoded image, streamed from disk when given its path
+async function contentHash(image) {
+    if (Buffer.isBuffer(image)) {
+        return sha256(image);
+    }
+
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(image)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+class ResultCache {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - cache.enabled, cache.dir, cache.maxSizeMb, cache.maxAgeDays
+     * @param {Metrics} metrics - Optional hit/miss counters
+     */
+    constructor(logger, config, metrics = null) {
+        this.logger = logger;
+        this.config = config;
+        this.metrics = metrics;
+
+        // Fixed at startup: moving the cache needs a restart
+        this.dir = config.get('cache.dir');
+        this.available = false;
+
+        // key -> { size, createdAt, usedAt }; rebuilt from disk on start
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get enabled() {
+        return this.available && this.config.get('cache.enabled');
+    }
+
+    get maxBytes() {
+        return this.config.get('cache.maxSizeMb') * 1024 * 1024;
+    }
+
+    get maxAgeMs() {
+        return this.config.get('cache.maxAgeDays') * DAY_MS;
+    }
+
+    /**
+     * Index the entries already on disk, then apply the size and age limits.
+     * A cache directory that cannot be created disables the cache, not the bridge.
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        } catch (error) {
+            this.logger.warn(`Result cache disabled: cannot create ${this.dir}: ${error.message}`);
+            return;
+        }
+
+        for (const shard of await fs.readdir(this.dir)) {
+            let files;
+            try {
+                files = await fs.readdir(path.join(this.dir, shard));
+            } catch {
+                continue; // Not a shard directory
+            }
+
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                try {
+                    const stats = await fs.stat(path.join(this.dir, shard, file));
+                    this.track(path.basename(file, '.json'), stats.size, stats.mtimeMs);
+                } catch {
+                    // Removed while scanning
+                }
+            }
+        }
+
+        this.available = true;
+        await this.enforceLimits();
+        this.logger.info(`Result cache: ${this.entries.size} entries (${(this.totalBytes / 1024 / 1024).toFixed(1)} MB) in ${this.dir}`);
+    }
+
+    /**
+     * Cache key for one analysis of one image
+     * @param {Buffer|string} image - Encoded image or its path; only its content matters, not its name
+     * @param {string} modelVersion - Changes whenever a model file changes
+     * @param {Object} options - Operation and the settings that affect its result
+     * @returns {Promise<string>}
+     */
+    static async keyFor(image, modelVersion, options) {
+        return sha256(JSON.stringify([await contentHash(image), modelVersion, options]));
+    }
+
+    /**
+     * Return the cached result, or compute, store and return it
+     * @param {string} key - From keyFor()
+     * @param {Function} compute - async () => JSON-serializable result
+     * @param {Object} options - { cacheable: (result) => boolean } to skip partial results
+     */
+    async getOrCompute(key, compute, options = {}) {
+        if (!this.enabled) {
+            return compute();
+        }
+
+        const cached = await this.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const result = await compute();
+        if (!options.cacheable || options.cacheable(result)) {
+            await this.set(key, result);
+        }
+        return result;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry && Date.now() - entry.createdAt <= this.maxAgeMs) {
+            try {
+                const { result } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+                entry.usedAt = Date.now();
+                this.recordLookup(true);
+                return result;
+            } catch (error) {
+                this.logger.warn(`Dropping unreadable cache entry ${key}: ${error.message}`);
+            }
+        }
+
+        if (entry) {
+            await this.remove(key);
+        }
+        this.recordLookup(false);
+        return undefined;
+    }
+
+    async set(key, result) {
+        const file = this.filePath(key);
+        const data = JSON.stringify({ created_at: new Date().toISOString(), result });
+
+        try {
+            // Write then rename, so readers never see a half-written entry
+            await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+            await fs.writeFile(`${file}.tmp`, data, { mode: 0o600 });
+            await fs.rename(`${file}.tmp`, file);
+        } catch (error) {
+            // A full disk must not fail the analysis itself
+            this.logger.warn(`Could not write cache entry ${key}: ${error.message}`);
+            return;
+        }
+
+        this.untrack(key);
+        this.track(key, Buffer.byteLength(data), Date.now());
+        if (this.totalBytes > this.maxBytes) {
+            await this.enforceLimits();
+        }
+    }
+
+    /**
+     * Delete every entry
+     * @returns {Promise<Object>} { removed_entries, freed_bytes }
+     */
+    async purge() {
+        const removed = { removed_entries: this.entries.size, freed_bytes: this.totalBytes };
+
+        for (const key of [...this.entries.keys()]) {
+            await this.remove(key);
+        }
+
+        this.logger.info(`Purged result cache: ${removed.removed_entries} entries, ${removed.freed_bytes} bytes`);
+        return removed;
+    }
+
+    /**
+     * Remove expired entries, then least recently used ones until under the size limit
+     */
+    async enforceLimits() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (now - entry.createdAt > this.maxAgeMs) {
+                await this.remove(key);
+            }
+        }
+
+        if (this.totalBytes <= this.maxBytes) {
+            return;
+        }
+
+        const byLastUse = [...this.entries].sort(([, a], [, b]) => a.usedAt - b.usedAt);
+        for (const [key] of byLastUse) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            await this.remove(key);
+        }
+    }
+
+    async remove(key) {
+        this.untrack(key);
+        await fs.rm(this.filePath(key), { force: true });
+    }
+
+    track(key, size, createdAt) {
+        this.entries.set(key, { size, createdAt, usedAt: createdAt });
+        this.totalBytes += size;
+    }
+
+    untrack(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.totalBytes -= entry.size;
+            this.entries.delete(key);
+        }
+    }
+
+    // Two-character shards keep directories small on large catalogs
+    filePath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    recordLookup(hit) {
+        if (hit) {
+            this.hits++;
+        } else {
+            this.misses++;
+        }
+        if (this.metrics) {
+            this.metrics.recordCacheLookup(hit);
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            entries: this.entries.size,
+            size_bytes: this.totalBytes,
+            max_size_bytes: this.maxBytes,
+            max_age_days: this.config.get('cache.maxAgeDays'),
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+module.exports = ResultCache;
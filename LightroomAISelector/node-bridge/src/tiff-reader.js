@@ -0,0 +1,158 @@
+/**
+ * TIFF Reader Module
+ * Minimal reader for TIFF-structured data: the IFDs of TIFF-based camera raw
+ * files (see raw-preview.js) and the EXIF blocks of JPEG, HEIF and WebP files
+ * (see exif.js). Offsets are relative to the start of the given buffer, which
+ * must begin with the TIFF header.
+ */
+
+const SUB_IFDS = 0x014A;
+
+// Byte sizes of the TIFF field types
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// Guards against malformed files with IFD loops or absurd entry counts
+const MAX_IFDS = 64;
+const MAX_ENTRIES = 1024;
+
+class TiffReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.littleEndian = buffer[0] === 0x49;
+    }
+
+    /**
+     * Whether the buffer starts with a TIFF byte-order mark. The magic number
+     * after it is not checked: raw formats such as RW2 and ORF change it.
+     */
+    static isTiff(buffer) {
+        return buffer.length >= 8 &&
+            ((buffer[0] === 0x49 && buffer[1] === 0x49) || (buffer[0] === 0x4D && buffer[1] === 0x4D));
+    }
+
+    u16(offset) {
+        return this.littleEndian ? this.buffer.readUInt16LE(offset) : this.buffer.readUInt16BE(offset);
+    }
+
+    u32(offset) {
+        return this.littleEndian ? this.buffer.readUInt32LE(offset) : this.buffer.readUInt32BE(offset);
+    }
+
+    i32(offset) {
+        return this.littleEndian ? this.buffer.readInt32LE(offset) : this.buffer.readInt32BE(offset);
+    }
+
+    /**
+     * Every IFD reachable from the header: the IFD0 chain and SubIFDs
+     * @returns {Array<Map>} tag -> { type, count, valueOffset }
+     */
+    readIfds() {
+        const ifds = [];
+        const visited = new Set();
+        const pending = [this.u32(4)];
+
+        while (pending.length > 0 && ifds.length < MAX_IFDS) {
+            const offset = pending.shift();
+            if (!offset || visited.has(offset) || offset + 2 > this.buffer.length) {
+                continue;
+            }
+            visited.add(offset);
+
+            const ifd = this.readIfd(offset);
+            ifds.push(ifd.entries);
+            pending.push(ifd.next, ...this.values(ifd.entries.get(SUB_IFDS)));
+        }
+
+        return ifds;
+    }
+
+    readIfd(offset) {
+        const count = Math.min(this.u16(offset), MAX_ENTRIES);
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > this.buffer.length) {
+                break;
+            }
+
+            const type = this.u16(entry + 2);
+            const valueCount = this.u32(entry + 4);
+            // Values up to 4 bytes are stored in the entry itself
+            const inline = (TYPE_SIZES[type] || 1) * valueCount <= 4;
+            entries.set(this.u16(entry), {
+                type,
+                count: valueCount,
+                valueOffset: inline ? entry + 8 : this.u32(entry + 8)
+            });
+        }
+
+        const nextOffset = offset + 2 + count * 12;
+        return {
+            entries,
+            next: nextOffset + 4 <= this.buffer.length ? this.u32(nextOffset) : 0
+        };
+    }
+
+    /**
+     * Entries of the IFD a pointer tag (e.g. the EXIF IFD) points at; empty when absent
+     */
+    readPointedIfd(ifd, tag) {
+        const offset = this.value(ifd, tag);
+        return offset && offset + 2 <= this.buffer.length ? this.readIfd(offset).entries : new Map();
+    }
+
+    /**
+     * Numeric values of a SHORT or LONG entry
+     */
+    values(entry) {
+        if (!entry || (entry.type !== 3 && entry.type !== 4 && entry.type !== 13)) {
+            return [];
+        }
+
+        const size = TYPE_SIZES[entry.type];
+        const values = [];
+        for (let i = 0; i < Math.min(entry.count, MAX_ENTRIES); i++) {
+            const offset = entry.valueOffset + i * size;
+            if (offset + size > this.buffer.length) {
+                break;
+            }
+            values.push(size === 2 ? this.u16(offset) : this.u32(offset));
+        }
+        return values;
+    }
+
+    value(ifd, tag) {
+        return this.values(ifd.get(tag))[0];
+    }
+
+    /**
+     * First value of a RATIONAL or SRATIONAL entry; undefined when absent or x/0
+     */
+    rational(ifd, tag) {
+        const entry = ifd.get(tag);
+        if (!entry || (entry.type !== 5 && entry.type !== 10) || entry.valueOffset + 8 > this.buffer.length) {
+            return undefined;
+        }
+
+        const read = entry.type === 5 ? offset => this.u32(offset) : offset => this.i32(offset);
+        const denominator = read(entry.valueOffset + 4);
+        return denominator === 0 ? undefined : read(entry.valueOffset) / denominator;
+    }
+
+    /**
+     * ASCII entry without its NUL terminator and padding; undefined when absent or blank
+     */
+    string(ifd, tag) {
+        const entry = ifd.get(tag);
+        if (!entry || (entry.type !== 2 && entry.type !== 7)) {
+            return undefined;
+        }
+
+        const end = Math.min(entry.valueOffset + entry.count, this.buffer.length);
+        const text = this.buffer.toString('latin1', entry.valueOffset, end).replace(/\0.*$/s, '').trim();
+        return text || undefined;
+    }
+}
+
+module.exports = TiffReader;
@@ -0,0 +1,144 @@
+/**
+ * Upload Store Module
+ * Multer storage engine that streams uploads to a private temp directory
+ * instead of holding them in memory, stops writing files that are not images
+ * as soon as their first bytes arrive, and deletes uploads once their request
+ * has ended, or once a background job has scored them
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const ImageFormat = require('./image-format');
+
+// Upload limits, enforced by multer and reported by /capabilities and the OpenAPI document
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB max file size
+const MAX_BATCH_UPLOADS = 50;
+
+class UploadStore {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - uploads.tempDir
+     */
+    constructor(logger, config) {
+        this.logger = logger;
+
+        // Fixed at startup: moving the temp directory needs a restart
+        this.dir = config.get('uploads.tempDir');
+
+        // Paths of uploads still on disk; anything else (e.g. by-path photos) is never deleted
+        this.files = new Set();
+    }
+
+    /**
+     * Create the temp directory and remove uploads left behind by a previous run
+     * (jobs interrupted by shutdown, or a crash)
+     */
+    async initialize() {
+        await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+
+        const leftovers = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.upload'));
+        await Promise.all(leftovers.map(name => fs.promises.rm(path.join(this.dir, name), { force: true })));
+        if (leftovers.length > 0) {
+            this.logger.info(`Removed ${leftovers.length} stale uploads from ${this.dir}`);
+        }
+    }
+
+    /**
+     * Express middleware deleting a request's uploads when its response closes,
+     * including when the client disconnects halfway through an upload
+     */
+    middleware() {
+        return (req, res, next) => {
+            res.on('close', () => {
+                if (req.uploadPaths && !req.uploadsRetained) {
+                    req.uploadPaths.forEach(filePath => this.remove(filePath));
+                }
+            });
+            next();
+        };
+    }
+
+    /**
+     * Keep a request's uploads past the end of the request, for a background job.
+     * The job must release() each file when done with it.
+     */
+    retain(req) {
+        req.uploadsRetained = true;
+    }
+
+    /**
+     * Delete an upload; files that are not uploads are left alone
+     * @param {Object} file - Multer file object or path-guard file
+     */
+    release(file) {
+        if (file && this.files.has(file.path)) {
+            this.remove(file.path);
+        }
+    }
+
+    remove(filePath) {
+        this.files.delete(filePath);
+        fs.promises.rm(filePath, { force: true }).catch(error => {
+            this.logger.warn(`Could not delete upload ${filePath}: ${error.message}`);
+        });
+    }
+
+    // Multer storage engine interface
+
+    _handleFile(req, file, callback) {
+        const filePath = path.join(this.dir, `${crypto.randomUUID()}.upload`);
+        this.files.add(filePath);
+        req.uploadPaths = req.uploadPaths || [];
+        req.uploadPaths.push(filePath);
+
+        const output = fs.createWriteStream(filePath, { mode: 0o600 });
+        let head = Buffer.alloc(0);
+        let format = null;
+
+        // Sniffed from the leading bytes: the rest of a file that is not an image
+        // is discarded unwritten. The error is left for readImage() to throw, so
+        // the other photos of a batch are still scored.
+        const sniff = () => {
+            try {
+                format = ImageFormat.assertSupportedImage(head, file.originalname);
+                return true;
+            } catch (error) {
+                file.stream.unpipe(output);
+                file.stream.resume();
+                output.destroy();
+                this.remove(filePath);
+                callback(null, { path: filePath, size: 0, formatError: error });
+                return false;
+            }
+        };
+
+        const onData = (chunk) => {
+            head = Buffer.concat([head, chunk]);
+            if (head.length >= ImageFormat.SNIFF_BYTES) {
+                file.stream.off('data', onData);
+                sniff();
+            }
+        };
+        file.stream.on('data', onData);
+
+        output.on('error', callback);
+        output.on('finish', () => {
+            // Files shorter than SNIFF_BYTES
+            if (format || sniff()) {
+                callback(null, { path: filePath, size: output.bytesWritten, format });
+            }
+        });
+        file.stream.pipe(output);
+    }
+
+    _removeFile(req, file, callback) {
+        this.remove(file.path);
+        callback(null);
+    }
+}
+
+UploadStore.MAX_FILE_SIZE = MAX_FILE_SIZE;
+UploadStore.MAX_BATCH_UPLOADS = MAX_BATCH_UPLOADS;
+
+module.exports = UploadStore;
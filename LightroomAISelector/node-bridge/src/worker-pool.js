@@ -0,0 +1,157 @@
+/**
+ * Worker Pool Module
+ * Fixed-size pool of worker threads running image tasks (decoding,
+ * preprocessing, classical CV), so a large photo keeps one core busy
+ * instead of freezing the HTTP server, and batches spread across cores
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const BridgeError = require('./errors');
+const tasks = require('./image-tasks');
+
+const WORKER_SCRIPT = path.join(__dirname, 'image-worker.js');
+
+class WorkerPool {
+    /**
+     * @param {Object} logger
+     * @param {Config} config - workers.poolSize; 0 runs tasks on the main thread
+     */
+    constructor(logger, config) {
+        this.logger = logger;
+
+        // Fixed at startup: resizing the pool needs a restart
+        this.size = config.get('workers.poolSize');
+
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.closed = false;
+    }
+
+    start() {
+        for (let i = 0; i < this.size; i++) {
+            this.spawn();
+        }
+        this.logger.info(this.size > 0
+            ? `Started ${this.size} image worker threads`
+            : 'Image worker threads disabled, image tasks run on the main thread');
+    }
+
+    /**
+     * Run a task from image-tasks on the next free worker
+     * @param {string} task - Exported name in image-tasks.js
+     * @param {Buffer|string|Object} input - Encoded image, its path, or decoded { data, info }
+     * @param {Object} options - Task options, e.g. the blur working size
+     * @returns {Promise<*>} The task result
+     */
+    run(task, input, options) {
+        if (this.closed) {
+            return Promise.reject(new BridgeError('SHUTTING_DOWN'));
+        }
+        if (this.size === 0) {
+            return tasks[task](input, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, task, input, options, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        for (const slot of this.slots) {
+            if (this.queue.length === 0) {
+                return;
+            }
+            if (!slot.current) {
+                slot.current = this.queue.shift();
+                const { id, task, input, options } = slot.current;
+                slot.worker.postMessage({ id, task, input, options });
+            }
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(WORKER_SCRIPT), current: null, error: null };
+
+        slot.worker.on('message', ({ id, result, error }) => {
+            const entry = slot.current;
+            if (!entry || entry.id !== id) {
+                return;
+            }
+
+            slot.current = null;
+            if (error) {
+                entry.reject(WorkerPool.reviveError(error));
+            } else {
+                entry.resolve(result);
+            }
+            this.dispatch();
+        });
+
+        slot.worker.on('error', (error) => {
+            slot.error = error;
+        });
+
+        // A crashed worker fails only its own task and is replaced
+        slot.worker.on('exit', (code) => {
+            this.slots = this.slots.filter(other => other !== slot);
+
+            if (slot.current) {
+                slot.current.reject(slot.error || new Error(`Image worker exited with code ${code}`));
+            }
+            if (this.closed) {
+                return;
+            }
+
+            this.logger.error(`Image worker exited with code ${code}, restarting it`, slot.error || undefined);
+            this.spawn();
+            this.dispatch();
+        });
+
+        this.slots.push(slot);
+    }
+
+    /**
+     * Stop the workers; queued and running tasks fail with SHUTTING_DOWN
+     */
+    async close() {
+        this.closed = true;
+
+        for (const entry of this.queue.splice(0)) {
+            entry.reject(new BridgeError('SHUTTING_DOWN'));
+        }
+        for (const slot of this.slots) {
+            if (slot.current) {
+                slot.current.reject(new BridgeError('SHUTTING_DOWN'));
+                slot.current = null;
+            }
+        }
+
+        await Promise.all(this.slots.map(slot => slot.worker.terminate()));
+    }
+
+    /**
+     * Rebuild an error posted by a worker: BridgeErrors as BridgeErrors, others
+     * as plain errors keeping their fields (code, details, stack...)
+     */
+    static reviveError(error) {
+        if (error.name === 'BridgeError') {
+            const bridgeError = new BridgeError(error.code, error.message, { details: error.details });
+            bridgeError.stack = error.stack;
+            return bridgeError;
+        }
+        return Object.assign(new Error(error.message), error);
+    }
+
+    getStats() {
+        return {
+            size: this.size,
+            busy: this.slots.filter(slot => slot.current).length,
+            queued: this.queue.length
+        };
+    }
+}
+
+module.exports = WorkerPool;
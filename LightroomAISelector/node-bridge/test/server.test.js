@@ -5,7 +5,17 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const AuthToken = require('../src/auth-token');
+const ImageTasks = require('../src/image-tasks');
+const FaceDetector = require('../src/face-detector');
+const ONNXInference = require('../src/onnx-inference');
+const RequestContext = require('../src/request-context');
+const FeedbackService = require('../feedback-service');
 
 const BASE_URL = 'http://localhost:3000';
 const api = axios.create({
@@ -28,11 +38,192 @@ function log(message, color = 'reset') {
     console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
+// Send the bridge's per-install token with every request
+function useBridgeToken() {
+    const token = fs.readFileSync(AuthToken.defaultPath(), 'utf8').trim();
+    api.defaults.headers.common[AuthToken.TOKEN_HEADER] = token;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start a second bridge on its own port and cache, for states the shared one must not enter
+async function startBridge(port, env = {}) {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pickit-test-cache-'));
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            WORKER_POOL_SIZE: '0',
+            CACHE_DIR: cacheDir,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    // Console log lines, for tests that check what was logged
+    const output = [];
+    child.stdout.on('data', chunk => output.push(chunk));
+    const logs = () => Buffer.concat(output).toString('utf8').split('\n');
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        resolve({ code, signal });
+    }));
+    const client = axios.create({
+        baseURL: `http://localhost:${port}`,
+        timeout: 30000,
+        validateStatus: () => true,
+        headers: { [AuthToken.TOKEN_HEADER]: api.defaults.headers.common[AuthToken.TOKEN_HEADER] }
+    });
+
+    // Stops the bridge, force-killing it if it does not exit in time. Signals only
+    // once: a second SIGTERM skips the drain.
+    const stop = async (timeoutMs = 15000) => {
+        if (!child.killed && child.exitCode === null) {
+            child.kill('SIGTERM');
+        }
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+        const result = await exited;
+        clearTimeout(timer);
+        return result;
+    };
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await client.get('/health/live');
+            return { child, client, exited, stop, logs };
+        } catch {
+            await delay(200);
+        }
+    }
+    await stop();
+    throw new Error(`Bridge on port ${port} did not start`);
+}
+
+// Wait until a job has processed at least one photo, or reached the given status
+async function waitForJob(client, jobId, status) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await client.get(`/v1/jobs/${jobId}`);
+        if (status ? job.data.status === status : job.data.progress && job.data.progress.processed > 0) {
+            return;
+        }
+        await delay(100);
+    }
+}
+
 // Use existing sample images
 function getTestImage(filename) {
     return path.join(__dirname, filename);
 }
 
+// Minimal DNG-style container: IFD0 with a thumbnail, a SubIFD with the JPEG preview
+// and a second IFD holding (fake) lossless-JPEG sensor data
+function buildRawContainer({ thumbnail, preview }) {
+    const sensorData = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xC3]), Buffer.alloc(32)]);
+    const ifdSize = (entries) => 2 + entries * 12 + 4;
+
+    const ifd0Entries = 1 + (preview ? 1 : 0) + (thumbnail ? 2 : 0);
+    const ifd0 = 8;
+    const rawIfd = ifd0 + ifdSize(ifd0Entries);
+    const previewIfd = rawIfd + ifdSize(4);
+    let dataOffset = previewIfd + (preview ? ifdSize(3) : 0);
+    const place = (blob) => {
+        const offset = dataOffset;
+        dataOffset += blob ? blob.length : 0;
+        return offset;
+    };
+    const thumbnailOffset = place(thumbnail);
+    const previewOffset = place(preview);
+    const sensorOffset = place(sensorData);
+
+    const writeIfd = (entries, next) => {
+        const ifd = Buffer.alloc(ifdSize(entries.length));
+        ifd.writeUInt16LE(entries.length, 0);
+        entries.forEach(([tag, type, value], i) => {
+            const entry = 2 + i * 12;
+            ifd.writeUInt16LE(tag, entry);
+            ifd.writeUInt16LE(type, entry + 2);
+            ifd.writeUInt32LE(Array.isArray(value) ? value.length : 1, entry + 4);
+            if (Array.isArray(value)) {
+                Buffer.from(value).copy(ifd, entry + 8);
+            } else if (type === 3) {
+                ifd.writeUInt16LE(value, entry + 8);
+            } else {
+                ifd.writeUInt32LE(value, entry + 8);
+            }
+        });
+        ifd.writeUInt32LE(next, ifd.length - 4);
+        return ifd;
+    };
+
+    const SHORT = 3, LONG = 4, BYTE = 1;
+    const header = Buffer.from([0x49, 0x49, 0x2A, 0x00, ifd0, 0, 0, 0]);
+    return Buffer.concat([
+        header,
+        writeIfd([
+            ...(preview ? [[0x014A, LONG, previewIfd]] : []),
+            ...(thumbnail ? [[0x0201, LONG, thumbnailOffset], [0x0202, LONG, thumbnail.length]] : []),
+            [0xC612, BYTE, [1, 4, 0, 0]]
+        ], rawIfd),
+        writeIfd([[0x0103, SHORT, 7], [0x0106, SHORT, 32803], [0x0111, LONG, sensorOffset], [0x0117, LONG, sensorData.length]], 0),
+        preview ? writeIfd([[0x0103, SHORT, 7], [0x0111, LONG, previewOffset], [0x0117, LONG, preview.length]], 0) : Buffer.alloc(0),
+        thumbnail || Buffer.alloc(0),
+        preview || Buffer.alloc(0),
+        sensorData
+    ]);
+}
+
+// Insert a big-endian EXIF APP1 segment into a JPEG. Entries are [tag, type, value]
+// with value a string (ASCII), [numerator, denominator] (RATIONAL) or a number.
+function withExif(jpeg, { ifd0 = [], exif = [] }) {
+    const ASCII = 2, SHORT = 3, LONG = 4, RATIONAL = 5;
+    const ifdSize = (entries) => 2 + entries * 12 + 4;
+
+    const exifOffset = 8 + ifdSize(ifd0.length + 1);
+    let dataOffset = exifOffset + ifdSize(exif.length);
+    const data = [];
+
+    const writeIfd = (entries) => {
+        const ifd = Buffer.alloc(ifdSize(entries.length));
+        ifd.writeUInt16BE(entries.length, 0);
+        entries.forEach(([tag, type, value], i) => {
+            const entry = 2 + i * 12;
+            ifd.writeUInt16BE(tag, entry);
+            ifd.writeUInt16BE(type, entry + 2);
+            ifd.writeUInt32BE(type === ASCII ? value.length + 1 : 1, entry + 4);
+            if (type === ASCII || type === RATIONAL) {
+                const blob = type === ASCII ? Buffer.from(`${value}\0`, 'latin1') : Buffer.alloc(8);
+                if (type === RATIONAL) {
+                    blob.writeUInt32BE(value[0], 0);
+                    blob.writeUInt32BE(value[1], 4);
+                }
+                if (blob.length <= 4) {
+                    blob.copy(ifd, entry + 8);
+                } else {
+                    ifd.writeUInt32BE(dataOffset, entry + 8);
+                    data.push(blob);
+                    dataOffset += blob.length;
+                }
+            } else if (type === SHORT) {
+                ifd.writeUInt16BE(value, entry + 8);
+            } else {
+                ifd.writeUInt32BE(value, entry + 8);
+            }
+        });
+        return ifd;
+    };
+
+    const tiff = Buffer.concat([
+        Buffer.from([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8]),
+        writeIfd([...ifd0, [0x8769, LONG, exifOffset]]),
+        writeIfd(exif),
+        ...data
+    ]);
+    const segment = Buffer.alloc(4);
+    segment.writeUInt16BE(0xFFE1, 0);
+    segment.writeUInt16BE(2 + 6 + tiff.length, 2);
+    return Buffer.concat([jpeg.subarray(0, 2), segment, Buffer.from('Exif\0\0', 'latin1'), tiff, jpeg.subarray(2)]);
+}
+
 async function runTests() {
     console.clear();
     log('🚀 NODE BRIDGE SERVER TEST SUITE', 'cyan');
@@ -45,7 +236,8 @@ async function runTests() {
     log('\n📍 Testing Health Check', 'cyan');
     try {
         const response = await api.get('/health');
-        if (response.status === 200 && response.data.status === 'healthy') {
+        // 'degraded' when the NIMA models are not installed, as in CI
+        if (response.status === 200 && ['healthy', 'degraded'].includes(response.data.status)) {
             log('  ✅ GET /health - Health check passed', 'green');
             passed++;
         } else {
@@ -83,8 +275,8 @@ async function runTests() {
         const response = await api.post('/models/load', {
             modelName: 'nima_aesthetic'
         });
-        // Mock models will fail to load but endpoint should respond
-        if (response.status === 200 || response.status === 500) {
+        // Missing or mock models fail to load, but with a structured error
+        if (response.status === 200 || (response.status >= 500 && response.data.code)) {
             log('  ✅ POST /models/load - Endpoint works (mock model)', 'green');
             passed++;
         } else {
@@ -130,13 +322,24 @@ async function runTests() {
         const response = await api.post('/detect/faces', formData, {
             headers: formData.getHeaders()
         });
+        const ready = await api.get('/health/ready');
+        const ultraface = ready.data.optional_models?.ultraface;
         
-        if (response.status === 200) {
+        // Without UltraFace the endpoint says so, as readiness does, rather than finding no faces
+        if (ultraface && ultraface.status !== 'missing' && ultraface.status !== 'failed' && response.status === 200) {
             log('  ✅ POST /detect/faces - Face detection works', 'green');
             log(`     Faces detected: ${response.data.faces?.length || 0}`, 'blue');
             passed++;
+        } else if (ultraface && ultraface.status === 'missing' && response.status === 503 &&
+            response.data.code === 'MODEL_NOT_FOUND') {
+            log('  ✅ POST /detect/faces - Missing face model reported (503 MODEL_NOT_FOUND)', 'green');
+            passed++;
+        } else if (ultraface && ultraface.status === 'failed' && response.status === 503 &&
+            response.data.code === 'MODEL_NOT_LOADED') {
+            log('  ✅ POST /detect/faces - Failed face model reported (503 MODEL_NOT_LOADED)', 'green');
+            passed++;
         } else {
-            log('  ❌ POST /detect/faces - Failed', 'red');
+            log(`  ❌ POST /detect/faces - Failed (${response.status}, ultraface ${JSON.stringify(ultraface)})`, 'red');
             failed++;
         }
     } catch (error) {
@@ -261,6 +464,1270 @@ async function runTests() {
         failed++;
     }
     
+    // Test 11: Asynchronous Batch Job
+    log('\n🧾 Testing Batch Jobs', 'cyan');
+    try {
+        const formData = new FormData();
+        formData.append('images', fs.createReadStream(testImage));
+        formData.append('images', fs.createReadStream(testImage2));
+
+        const submitResponse = await api.post('/jobs', formData, {
+            headers: formData.getHeaders()
+        });
+
+        let job = submitResponse.data;
+        for (let attempt = 0; attempt < 50 && job.status !== 'completed'; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            job = (await api.get(`/jobs/${submitResponse.data.job_id}`)).data;
+        }
+
+        if (submitResponse.status === 202 && job.status === 'completed' && job.results.length === 2) {
+            log('  ✅ POST /jobs + GET /jobs/:id - Batch job completes', 'green');
+            log(`     Progress: ${job.progress.processed}/${job.progress.total}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ POST /jobs - Job did not complete', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /jobs - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 12: Cancel Unknown Job
+    try {
+        const response = await api.delete('/jobs/does-not-exist');
+
+        if (response.status === 404) {
+            log('  ✅ DELETE /jobs/:id - Unknown job returns 404', 'green');
+            passed++;
+        } else {
+            log('  ❌ DELETE /jobs/:id - Unexpected status', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ DELETE /jobs/:id - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 13: Streaming Batch Progress (SSE)
+    log('\n📡 Testing Batch Streaming', 'cyan');
+    let streamedJobId = null;
+    try {
+        const formData = new FormData();
+        formData.append('images', fs.createReadStream(testImage));
+        formData.append('images', fs.createReadStream(testImage2));
+
+        const response = await api.post('/batch/stream', formData, {
+            headers: formData.getHeaders(),
+            responseType: 'text'
+        });
+
+        const photoEvents = (response.data.match(/event: photo/g) || []).length;
+        const jobEvent = response.data.match(/event: job\ndata: (.*)/);
+        streamedJobId = jobEvent ? JSON.parse(jobEvent[1]).job_id : null;
+
+        if (response.status === 200 && photoEvents === 2 && response.data.includes('event: summary')) {
+            log('  ✅ POST /batch/stream - Streams one event per photo plus summary', 'green');
+            passed++;
+        } else {
+            log('  ❌ POST /batch/stream - Unexpected event stream', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /batch/stream - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 14: Resume Event Stream
+    try {
+        const response = await api.get(`/jobs/${streamedJobId}/events`, {
+            headers: { 'Last-Event-ID': '1' },
+            responseType: 'text'
+        });
+
+        if (response.status === 200 && !response.data.includes('id: 1\n') &&
+            response.data.includes('id: 2\n') && response.data.includes('event: summary')) {
+            log('  ✅ GET /jobs/:id/events - Resumes after Last-Event-ID', 'green');
+            passed++;
+        } else {
+            log('  ❌ GET /jobs/:id/events - Did not resume correctly', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /jobs/:id/events - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 15: Path-Based Scoring Inside Allowed Roots Only
+    log('\n📂 Testing Path-Based Endpoints', 'cyan');
+    const allowedRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pickit-test-root-'));
+    const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pickit-test-outside-'));
+    try {
+        const photo = path.join(allowedRoot, 'photo.jpg');
+        const outsidePhoto = path.join(outsideDir, 'secret.jpg');
+        fs.copyFileSync(testImage, photo);
+        fs.copyFileSync(testImage, outsidePhoto);
+        // A link inside the root must not lead outside it
+        const link = path.join(allowedRoot, 'link.jpg');
+        fs.symlinkSync(outsidePhoto, link);
+        const escaping = `${allowedRoot}${path.sep}..${path.sep}${path.basename(outsideDir)}${path.sep}secret.jpg`;
+
+        const bridge = await startBridge(3106, { ALLOWED_ROOTS: allowedRoot });
+        try {
+            const escaped = await bridge.client.post('/v1/detect/blur/by-path', { path: escaping });
+            const linked = await bridge.client.post('/v1/assess/quality/by-path', { path: link });
+            const byPath = await bridge.client.post('/v1/assess/quality/by-path', { path: photo });
+
+            const formData = new FormData();
+            formData.append('image', fs.readFileSync(testImage), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+            const uploaded = await bridge.client.post('/v1/assess/quality', formData, { headers: formData.getHeaders() });
+            const scores = response => ['technical_score', 'aesthetic_score', 'overall_score'].map(field => response.data[field]);
+
+            if (escaped.status === 403 && escaped.data.code === 'PATH_FORBIDDEN' &&
+                linked.status === 403 && linked.data.code === 'PATH_FORBIDDEN' &&
+                byPath.status === 200 && scores(byPath).every(score => typeof score === 'number') && byPath.data.details &&
+                uploaded.status === 200 && JSON.stringify(scores(byPath)) === JSON.stringify(scores(uploaded)) &&
+                fs.existsSync(photo)) {
+                log('  ✅ Path-based scoring - .. escapes and outward symlinks rejected, photos inside the root scored', 'green');
+                log(`     Scores by path match the upload: ${scores(byPath).join(', ')}; source file kept`, 'blue');
+                passed++;
+            } else {
+                log(`  ❌ Path-based scoring (escape ${escaped.status} ${escaped.data.code}, symlink ${linked.status} ${linked.data.code}, by path ${byPath.status}, upload ${uploaded.status}, source kept ${fs.existsSync(photo)})`, 'red');
+                failed++;
+            }
+        } finally {
+            await bridge.stop();
+        }
+    } catch (error) {
+        log('  ❌ Path-based scoring - ' + error.message, 'red');
+        failed++;
+    } finally {
+        fs.rmSync(allowedRoot, { recursive: true, force: true });
+        fs.rmSync(outsideDir, { recursive: true, force: true });
+    }
+
+    // Test 16: Path-Based Batch Requires Paths
+    try {
+        const response = await api.post('/batch/process/by-path', { paths: [] });
+
+        if (response.status === 400) {
+            log('  ✅ POST /batch/process/by-path - Empty path list rejected', 'green');
+            passed++;
+        } else {
+            log('  ❌ POST /batch/process/by-path - Unexpected status', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /batch/process/by-path - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 17: Unified Analysis
+    log('\n🧪 Testing Unified Analysis', 'cyan');
+    try {
+        const formData = new FormData();
+        formData.append('image', fs.createReadStream(testImage));
+        formData.append('analyzers', 'quality,blur,exposure');
+
+        const response = await api.post('/analyze', formData, {
+            headers: formData.getHeaders()
+        });
+
+        if (response.status === 200 && response.data.quality && response.data.blur &&
+            response.data.exposure && response.data.contrast === undefined) {
+            log('  ✅ POST /analyze - Runs only the selected analyzers', 'green');
+            log(`     Analyzers: ${response.data.analyzers.join(', ')}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ POST /analyze - Unexpected result', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /analyze - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 18: Unknown Analyzer
+    try {
+        const formData = new FormData();
+        formData.append('image', fs.createReadStream(testImage));
+        formData.append('analyzers', 'quality,horoscope');
+
+        const response = await api.post('/analyze', formData, {
+            headers: formData.getHeaders()
+        });
+
+        if (response.status === 400) {
+            log('  ✅ POST /analyze - Unknown analyzer rejected', 'green');
+            passed++;
+        } else {
+            log('  ❌ POST /analyze - Unknown analyzer accepted', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /analyze - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 19: Exposure Analysis
+    log('\n🌗 Testing Exposure Analysis', 'cyan');
+    try {
+        const formData = new FormData();
+        formData.append('image', fs.createReadStream(testImage));
+
+        const response = await api.post('/assess/exposure', formData, {
+            headers: formData.getHeaders()
+        });
+
+        const exposure = response.data.exposure || {};
+        if (response.status === 200 && exposure.histogram &&
+            exposure.histogram.r.length === 256 && exposure.histogram.luminance.length === 256 &&
+            typeof exposure.meanLuminance === 'number' && exposure.clipping) {
+            log('  ✅ POST /assess/exposure - Returns histogram and clipping data', 'green');
+            log(`     Mean luminance: ${exposure.meanLuminance.toFixed(2)}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ POST /assess/exposure - Unexpected result', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /assess/exposure - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 20: Saturation and Contrast
+    try {
+        const results = await Promise.all(['saturation', 'contrast'].map(name => {
+            const formData = new FormData();
+            formData.append('image', fs.createReadStream(testImage));
+            return api.post(`/assess/${name}`, formData, { headers: formData.getHeaders() });
+        }));
+
+        if (results.every(r => r.status === 200) &&
+            typeof results[0].data.saturation === 'number' &&
+            typeof results[1].data.contrast === 'number') {
+            log('  ✅ POST /assess/saturation + /assess/contrast - Scores returned', 'green');
+            passed++;
+        } else {
+            log('  ❌ POST /assess/saturation + /assess/contrast - Failed', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /assess/saturation + /assess/contrast - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 21: OpenAPI Document
+    log('\n📜 Testing OpenAPI Contract', 'cyan');
+    try {
+        const response = await api.get('/openapi.json');
+
+        if (response.status === 200 && response.data.openapi &&
+            response.data.paths['/assess/quality'] && response.data.paths['/jobs/{id}']) {
+            log('  ✅ GET /openapi.json - Document served', 'green');
+            log(`     Paths: ${Object.keys(response.data.paths).length}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ GET /openapi.json - Unexpected document', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /openapi.json - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 22: Field-Level Validation Errors
+    try {
+        const missingModel = await api.post('/models/load', {});
+        const badIds = await api.post('/feedback/check-responses', { submissionIds: 'abc' });
+
+        const fields = (response) => (response.data.details || []).map(detail => detail.field);
+        if (missingModel.status === 400 && fields(missingModel).includes('modelName') &&
+            badIds.status === 400 && fields(badIds).includes('submissionIds')) {
+            log('  ✅ Request validation - 400 with field-level errors', 'green');
+            passed++;
+        } else {
+            log('  ❌ Request validation - Invalid bodies were not rejected', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Request validation - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 23: Capabilities
+    log('\n🧭 Testing API Versioning', 'cyan');
+    try {
+        const response = await api.get('/capabilities');
+        const pkg = require('../package.json');
+
+        if (response.status === 200 && response.data.version === pkg.version &&
+            response.data.api_versions.includes('v1') && Array.isArray(response.data.analyzers) &&
+            Array.isArray(response.data.formats) && response.data.limits) {
+            log('  ✅ GET /capabilities - Reports version, analyzers, formats and limits', 'green');
+            passed++;
+        } else {
+            log('  ❌ GET /capabilities - Unexpected response', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /capabilities - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 24: Versioned and Deprecated Routes
+    try {
+        const versioned = await api.get('/v1/models');
+        const unversioned = await api.get('/models');
+
+        if (versioned.status === 200 && !versioned.headers['deprecation'] &&
+            unversioned.status === 200 && unversioned.headers['deprecation'] === 'true' &&
+            (unversioned.headers['link'] || '').includes('</v1/models>')) {
+            log('  ✅ GET /v1/models - Versioned route; unversioned route marked deprecated', 'green');
+            passed++;
+        } else {
+            log('  ❌ GET /v1/models - Versioning headers missing', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /v1/models - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 25: Token Required
+    log('\n🔐 Testing Authentication', 'cyan');
+    try {
+        const unauthenticated = axios.create({ baseURL: BASE_URL, timeout: 5000, validateStatus: () => true });
+        const protectedResponse = await unauthenticated.get('/models');
+        const wrongToken = await unauthenticated.get('/models', {
+            headers: { Authorization: 'Bearer not-the-token' }
+        });
+        const liveness = await unauthenticated.get('/health/live');
+        const versionedLiveness = await unauthenticated.get('/v1/health/live');
+        const health = await unauthenticated.get('/health');
+        const readiness = await unauthenticated.get('/v1/health/ready');
+
+        if (protectedResponse.status === 401 && wrongToken.status === 401 &&
+            liveness.status === 200 && versionedLiveness.status === 200 &&
+            health.status === 401 && readiness.status === 401) {
+            log('  ✅ Auth - Token required everywhere except /health/live', 'green');
+            passed++;
+        } else {
+            log('  ❌ Auth - Unexpected access without a valid token', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Auth - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 26: Queue Depth in Health
+    log('\n🚦 Testing Inference Scheduling', 'cyan');
+    try {
+        const response = await api.get('/health');
+        const queue = response.data.queue || {};
+
+        if (response.status === 200 && typeof queue.queued === 'number' &&
+            typeof queue.active === 'number' && queue.max_concurrent > 0) {
+            log('  ✅ GET /health - Reports inference queue depth', 'green');
+            log(`     Active: ${queue.active}, queued: ${queue.queued}/${queue.max_queue}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ GET /health - Queue stats missing', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /health - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 27: Structured Errors
+    log('\n🧯 Testing Structured Errors', 'cyan');
+    try {
+        const formData = new FormData();
+        // A JPEG start-of-image marker followed by garbage
+        const corruptJpeg = Buffer.concat([fs.readFileSync(testImage).subarray(0, 4), Buffer.alloc(512, 7)]);
+        formData.append('image', corruptJpeg, { filename: 'corrupt.jpg', contentType: 'image/jpeg' });
+
+        const corrupt = await api.post('/v1/detect/blur', formData, {
+            headers: formData.getHeaders()
+        });
+        const missingJob = await api.get('/v1/jobs/does-not-exist');
+        const isStructured = (data) => typeof data.code === 'string' &&
+            typeof data.retryable === 'boolean' && typeof data.hint === 'string';
+
+        if (corrupt.status === 422 && corrupt.data.code === 'IMAGE_DECODE_FAILED' && isStructured(corrupt.data) &&
+            missingJob.status === 404 && missingJob.data.code === 'JOB_NOT_FOUND') {
+            log('  ✅ Errors carry code, retryable flag and hint', 'green');
+            log(`     ${corrupt.data.code}: ${corrupt.data.hint}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Unexpected error responses (${corrupt.status} ${corrupt.data.code}, ${missingJob.status} ${missingJob.data.code})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Structured errors - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 28: Request IDs
+    log('\n🔖 Testing Request IDs', 'cyan');
+    try {
+        const echoed = await api.get('/v1/models', { headers: { 'X-Request-ID': 'plugin-req-42' } });
+        const generated = await api.get('/v1/jobs/does-not-exist');
+
+        if (echoed.headers['x-request-id'] === 'plugin-req-42' &&
+            generated.headers['x-request-id'] &&
+            generated.data.request_id === generated.headers['x-request-id']) {
+            log('  ✅ X-Request-ID echoed, generated and included in errors', 'green');
+            log(`     Generated: ${generated.headers['x-request-id']}`, 'blue');
+            passed++;
+        } else {
+            log('  ❌ Request ID missing or not echoed', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Request IDs - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 29: Prometheus Metrics
+    log('\n📈 Testing Metrics', 'cyan');
+    try {
+        const response = await api.get('/metrics');
+        const body = String(response.data);
+
+        if (response.status === 200 && response.headers['content-type'].startsWith('text/plain') &&
+            body.includes('pickit_bridge_http_requests_total') &&
+            body.includes('pickit_bridge_inference_queued') &&
+            body.includes('process_resident_memory_bytes') &&
+            body.includes('pickit_bridge_errors_total{code="JOB_NOT_FOUND"}')) {
+            log('  ✅ GET /metrics - Prometheus text format with request, queue, memory and error metrics', 'green');
+            passed++;
+        } else {
+            log('  ❌ GET /metrics - Missing metrics', 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ GET /metrics - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 30: Liveness and Readiness
+    log('\n🩺 Testing Liveness and Readiness', 'cyan');
+    try {
+        const live = await api.get('/health/live', { headers: { [AuthToken.TOKEN_HEADER]: '' } });
+        const ready = await api.get('/health/ready');
+        const health = await api.get('/health');
+        const models = ready.data.models || {};
+        const statuses = Object.values(models).map(model => model.status);
+        const consistent = ready.data.ready
+            ? ready.status === 200 && statuses.every(status => status === 'loaded') && health.data.status === 'healthy'
+            : ready.status === 503 && statuses.some(status => status !== 'loaded') && health.data.status === 'degraded';
+
+        if (live.status === 200 && models.nima_aesthetic && models.nima_technical && consistent &&
+            ready.data.optional_models?.ultraface) {
+            log('  ✅ GET /health/live and /health/ready - Per-model readiness reported', 'green');
+            log(`     ${ready.data.message}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Readiness inconsistent (${ready.status}, ${JSON.stringify(models)})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Readiness - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 31: Effective Configuration and Reload
+    log('\n⚙️  Testing Configuration', 'cyan');
+    try {
+        const current = await api.get('/v1/config');
+        const reload = await api.post('/v1/admin/config/reload');
+        const settings = current.data.settings || {};
+        
+        // Endpoints report the configured threshold instead of a hardcoded one
+        const formData = new FormData();
+        formData.append('image', fs.createReadStream(getTestImage('sample1.jpg')));
+        const blur = await api.post('/v1/detect/blur', formData, {
+            headers: formData.getHeaders()
+        });
+
+        if (current.status === 200 && settings.blur && settings.scoring &&
+            reload.status === 200 && Array.isArray(reload.data.changed) &&
+            blur.data.threshold === settings.blur.threshold) {
+            log('  ✅ GET /config and POST /admin/config/reload - Effective settings served and reloadable', 'green');
+            log(`     File: ${current.data.file} (${current.data.file_loaded ? 'loaded' : 'not present'}), blur threshold ${settings.blur.threshold}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Configuration endpoints (${current.status}, ${reload.status}, ${JSON.stringify(reload.data).slice(0, 200)})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Configuration - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 32: Result Cache
+    log('\n🗄️  Testing Result Cache', 'cyan');
+    try {
+        const purge = await api.delete('/v1/cache');
+        const scoreBatch = async () => {
+            const formData = new FormData();
+            formData.append('images', fs.createReadStream(testImage));
+            formData.append('images', fs.createReadStream(testImage2));
+            return api.post('/v1/batch/process', formData, {
+                headers: formData.getHeaders()
+            });
+        };
+
+        const first = await scoreBatch();
+        const before = await api.get('/v1/cache');
+        const second = await scoreBatch();
+        const after = await api.get('/v1/cache');
+
+        if (purge.status === 200 && first.status === 200 && second.status === 200 &&
+            after.data.hits - before.data.hits === 2 &&
+            JSON.stringify(first.data.results) === JSON.stringify(second.data.results)) {
+            log('  ✅ Result cache - Re-scoring the same photos is served from the cache', 'green');
+            log(`     ${after.data.entries} entries, ${after.data.size_bytes} bytes in ${after.data.dir}`, 'blue');
+            passed++;
+        } else if (purge.status === 200 && !after.data.enabled) {
+            log('  ✅ Result cache - Disabled by configuration, purge endpoint works', 'green');
+            passed++;
+        } else {
+            log(`  ❌ Result cache (hits ${before.data.hits} -> ${after.data.hits}, statuses ${first.status}/${second.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Result cache - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 33: Responsiveness During Heavy Analysis
+    log('\n🧵 Testing Worker Threads', 'cyan');
+    try {
+        // Random noise: large, slow to analyze and never a cache hit
+        const largeImage = await sharp({
+            create: { width: 4000, height: 3000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+
+        const formData = new FormData();
+        formData.append('image', largeImage, { filename: 'large.jpg', contentType: 'image/jpeg' });
+        formData.append('analyzers', 'blur,exposure,saturation,contrast');
+
+        let analyzing = true;
+        const analysis = api.post('/v1/analyze', formData, { headers: formData.getHeaders() })
+            .finally(() => { analyzing = false; });
+
+        let slowestHealthMs = 0;
+        let healthChecks = 0;
+        while (analyzing) {
+            const startedAt = Date.now();
+            await api.get('/v1/health');
+            slowestHealthMs = Math.max(slowestHealthMs, Date.now() - startedAt);
+            healthChecks++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        const response = await analysis;
+
+        if (response.status === 200 && response.data.blur && healthChecks > 1 && slowestHealthMs < 500) {
+            log('  ✅ Worker threads - /health answers while a 12 MP photo is analyzed', 'green');
+            log(`     ${healthChecks} health checks, slowest ${slowestHealthMs} ms`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Worker threads (status ${response.status}, ${healthChecks} health checks, slowest ${slowestHealthMs} ms)`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Worker threads - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 34: Tiled Sharpness Map
+    log('\n🔍 Testing Sharpness Map', 'cyan');
+    try {
+        const noise = (width, height) => sharp({
+            create: { width, height, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 50 } }
+        }).jpeg().toBuffer();
+
+        // A sharp subject in the middle of a heavily blurred background, i.e. bokeh
+        const background = await sharp(await noise(1600, 1200)).blur(8).jpeg().toBuffer();
+        const bokeh = await sharp(background)
+            .composite([{ input: await noise(400, 300), left: 600, top: 450 }])
+            .jpeg().toBuffer();
+
+        const detectBlur = async (image) => {
+            const formData = new FormData();
+            formData.append('image', image, { filename: 'bokeh.jpg', contentType: 'image/jpeg' });
+            return api.post('/v1/detect/blur', formData, { headers: formData.getHeaders() });
+        };
+
+        const subject = await detectBlur(bokeh);
+        const soft = await detectBlur(background);
+        const map = subject.data.sharpness_map;
+        const region = subject.data.sharpest_region;
+
+        if (subject.status === 200 && soft.status === 200 &&
+            map && map.scores.length === map.rows && map.scores[0].length === map.cols &&
+            region.x >= 0.25 && region.x < 0.75 && region.y >= 0.25 && region.y < 0.75 &&
+            !subject.data.is_blurry && soft.data.is_blurry) {
+            log('  ✅ POST /v1/detect/blur - Sharp subject with bokeh passes, soft photo is flagged', 'green');
+            log(`     ${map.rows}x${map.cols} map, sharpest region ${region.score.toFixed(1)} vs threshold ${subject.data.threshold}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ POST /v1/detect/blur sharpness map (statuses ${subject.status}/${soft.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ POST /v1/detect/blur sharpness map - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 35: Upload Safety
+    log('\n🛡️  Testing Upload Safety', 'cyan');
+    try {
+        const detectBlur = async (content, filename, contentType) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename, contentType });
+            return api.post('/v1/detect/blur', formData, { headers: formData.getHeaders() });
+        };
+
+        // The file type comes from the content, whatever the name and MIME type claim
+        const disguisedText = await detectBlur(Buffer.from('just some notes, not a photo'), 'photo.jpg', 'image/jpeg');
+        const renamedJpeg = await detectBlur(fs.readFileSync(testImage), 'export.bin', 'application/octet-stream');
+
+        // Sniffed as it streams in: the rest of a large non-image is never written,
+        // and only that photo of a batch fails
+        const largeText = await detectBlur(Buffer.alloc(8 * 1024 * 1024, 'not a photo '), 'large.jpg', 'image/jpeg');
+        const mixedForm = new FormData();
+        mixedForm.append('images', Buffer.from('just some notes, not a photo'), { filename: 'notes.jpg', contentType: 'image/jpeg' });
+        mixedForm.append('images', fs.readFileSync(testImage), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+        const mixedBatch = await api.post('/v1/batch/process', mixedForm, { headers: mixedForm.getHeaders() });
+        const [notesResult, photoResult] = mixedBatch.data.results || [];
+
+        const jpeg = await sharp({
+            create: { width: 400, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+        const truncated = await detectBlur(jpeg.subarray(0, jpeg.length / 2), 'truncated.jpg', 'image/jpeg');
+
+        // A few hundred bytes of PNG whose header claims 16000x16000 pixels
+        const crc32 = (buffer) => {
+            let crc = -1;
+            for (const byte of buffer) {
+                crc ^= byte;
+                for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+            return (crc ^ -1) >>> 0;
+        };
+        const chunk = (type, data) => {
+            const body = Buffer.concat([Buffer.from(type), data]);
+            const length = Buffer.alloc(4);
+            const crc = Buffer.alloc(4);
+            length.writeUInt32BE(data.length);
+            crc.writeUInt32BE(crc32(body));
+            return Buffer.concat([length, body, crc]);
+        };
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(16000, 0);
+        header.writeUInt32BE(16000, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // RGB
+        const bomb = Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            chunk('IHDR', header),
+            chunk('IDAT', require('zlib').deflateSync(Buffer.alloc(16000 * 3 + 1))),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+        const pixelBomb = await detectBlur(bomb, 'bomb.png', 'image/png');
+
+        // Uploads are deleted once their request is over
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const { tempDir } = (await api.get('/v1/config')).data.settings.uploads;
+        const leftovers = fs.readdirSync(tempDir).filter(name => name.endsWith('.upload'));
+
+        if (disguisedText.status === 415 && disguisedText.data.code === 'UNSUPPORTED_FORMAT' &&
+            renamedJpeg.status === 200 &&
+            largeText.status === 415 && largeText.data.code === 'UNSUPPORTED_FORMAT' &&
+            mixedBatch.status === 200 && notesResult && notesResult.success === false &&
+            notesResult.code === 'UNSUPPORTED_FORMAT' && photoResult && photoResult.success === true &&
+            truncated.status === 422 && /truncated/i.test(truncated.data.error) &&
+            pixelBomb.status === 422 && pixelBomb.data.code === 'IMAGE_TOO_LARGE' &&
+            leftovers.length === 0) {
+            log('  ✅ Uploads - Sniffed by content, truncated files and pixel bombs rejected, temp files removed', 'green');
+            log(`     ${pixelBomb.data.error}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Uploads (statuses ${disguisedText.status}/${renamedJpeg.status}/${largeText.status}/${mixedBatch.status}/${truncated.status}/${pixelBomb.status}, ${leftovers.length} temp files left)`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Uploads - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 36: RAW Files Through Embedded Previews
+    log('\n🎞️  Testing RAW Previews', 'cyan');
+    try {
+        const jpeg = (width, height) => sharp({
+            create: { width, height, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+
+        const analyzeRaw = async (content, filename) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename, contentType: 'application/octet-stream' });
+            formData.append('analyzers', 'blur,exposure');
+            return api.post('/v1/analyze', formData, { headers: formData.getHeaders() });
+        };
+
+        const dng = buildRawContainer({ thumbnail: await jpeg(160, 120), preview: await jpeg(1200, 800) });
+        const withPreview = await analyzeRaw(dng, 'IMG_0001.dng');
+        const withoutPreview = await analyzeRaw(buildRawContainer({}), 'IMG_0002.dng');
+
+        if (withPreview.status === 200 && withPreview.data.width === 1200 &&
+            withPreview.data.raw_preview && withPreview.data.raw_preview.width === 1200 &&
+            withoutPreview.status === 415 && withoutPreview.data.code === 'UNSUPPORTED_RAW_VARIANT') {
+            log('  ✅ RAW files - Largest embedded preview analysed, preview-less variant rejected', 'green');
+            log(`     Used ${withPreview.data.raw_preview.width}x${withPreview.data.raw_preview.height} preview (${withPreview.data.raw_preview.bytes} bytes)`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ RAW files (statuses ${withPreview.status}/${withoutPreview.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ RAW files - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 37: WebP, AVIF and HEIC Inputs
+    log('\n🖼️  Testing Modern Image Formats', 'cyan');
+    try {
+        const photo = sharp({
+            create: { width: 640, height: 480, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        });
+        const analyzeAs = async (content, filename) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename, contentType: 'application/octet-stream' });
+            formData.append('analyzers', 'blur,exposure');
+            return api.post('/v1/analyze', formData, { headers: formData.getHeaders() });
+        };
+
+        const formats = (await api.get('/v1/formats')).data.formats;
+        const heic = formats.find(format => format.id === 'heic');
+        const webp = await analyzeAs(await photo.clone().webp().toBuffer(), 'client.webp');
+        const avif = await analyzeAs(await photo.clone().avif().toBuffer(), 'client.avif');
+        // Just the ftyp box: only recognized, never decoded, when HEVC is missing
+        const heicHeader = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic\0\0\0\0mif1heic')]);
+        const heicResponse = await analyzeAs(heicHeader, 'IMG_0001.HEIC');
+
+        if (['webp', 'avif'].every(id => formats.some(format => format.id === id && format.available)) &&
+            webp.status === 200 && webp.data.width === 640 &&
+            avif.status === 200 && avif.data.width === 640 &&
+            heic && (heic.available || (heicResponse.status === 415 && /HEIC/.test(heicResponse.data.error)))) {
+            log('  ✅ Modern formats - WebP and AVIF analysed, HEIC support reported by /v1/formats', 'green');
+            log(`     HEIC decoding ${heic.available ? 'available' : 'unavailable in this build'}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Modern formats (statuses ${webp.status}/${avif.status}/${heicResponse.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Modern formats - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 38: EXIF Orientation, Colour Space and Metadata
+    log('\n📷 Testing EXIF Metadata', 'cyan');
+    try {
+        const SHORT = 3, ASCII = 2, RATIONAL = 5;
+        // Landscape pixels tagged "rotate 90° clockwise": a portrait shot
+        const pixels = await sharp({
+            create: { width: 120, height: 80, channels: 3, background: { r: 200, g: 90, b: 70 } }
+        }).jpeg({ quality: 95 }).toBuffer();
+        const camera = {
+            ifd0: [[0x010F, ASCII, 'Canon'], [0x0110, ASCII, 'Canon EOS R5'], [0x0112, SHORT, 6]],
+            exif: [
+                [0x829A, RATIONAL, [1, 250]], [0x829D, RATIONAL, [28, 10]], [0x8827, SHORT, 400],
+                [0x9003, ASCII, '2024:06:01 14:03:22'], [0x9011, ASCII, '+02:00'],
+                [0x920A, RATIONAL, [85, 1]], [0xA405, SHORT, 85], [0xA434, ASCII, 'RF85mm F1.2 L USM']
+            ]
+        };
+        const portrait = withExif(pixels, camera);
+        // Same pixels declared Adobe RGB through EXIF only, without an ICC profile
+        const adobeRgb = withExif(pixels, { ...camera, exif: [...camera.exif, [0xA001, SHORT, 2]] });
+
+        const post = async (endpoint, content, fields = {}) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename: 'IMG_0001.JPG', contentType: 'image/jpeg' });
+            Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+            return api.post(endpoint, formData, { headers: formData.getHeaders() });
+        };
+
+        const metadata = await post('/v1/metadata', portrait);
+        const analysis = await post('/v1/analyze', portrait, { analyzers: 'saturation' });
+        const converted = await post('/v1/analyze', adobeRgb, { analyzers: 'saturation' });
+
+        const batchForm = new FormData();
+        batchForm.append('images', portrait, { filename: 'IMG_0001.JPG', contentType: 'image/jpeg' });
+        const batch = await api.post('/v1/batch/process', batchForm, { headers: batchForm.getHeaders() });
+        const batchMetadata = batch.data.results && batch.data.results[0].metadata;
+
+        const m = metadata.data;
+        if (metadata.status === 200 && m.make === 'Canon' && m.model === 'Canon EOS R5' &&
+            m.lens === 'RF85mm F1.2 L USM' && m.iso === 400 && m.shutter_speed === '1/250' &&
+            m.aperture === 2.8 && m.focal_length === 85 && m.captured_at === '2024-06-01T14:03:22+02:00' &&
+            m.width === 80 && m.height === 120 &&
+            analysis.data.width === 80 && analysis.data.height === 120 &&
+            converted.data.saturation > analysis.data.saturation &&
+            batchMetadata && batchMetadata.model === 'Canon EOS R5' && batchMetadata.exposure_time === 0.004) {
+            log('  ✅ EXIF - Metadata read, portrait analysed upright, Adobe RGB converted to sRGB', 'green');
+            log(`     ${m.model}, ${m.lens}, ${m.shutter_speed} f/${m.aperture} ISO ${m.iso}; saturation ${analysis.data.saturation.toFixed(3)} -> ${converted.data.saturation.toFixed(3)} as Adobe RGB`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ EXIF metadata (statuses ${metadata.status}/${analysis.status}/${converted.status}/${batch.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ EXIF metadata - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 39: Camera-Shake Risk
+    log('\n🫨 Testing Camera-Shake Risk', 'cyan');
+    try {
+        const SHORT = 3, RATIONAL = 5;
+        // Sharp-measuring noise, so only the exposure settings can raise the risk
+        const pixels = await sharp({
+            create: { width: 640, height: 480, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+        const shotAt = (exposureTime, focalLength) => withExif(pixels, {
+            exif: [[0x829A, RATIONAL, exposureTime], [0x920A, RATIONAL, [focalLength, 1]], [0xA405, SHORT, focalLength]]
+        });
+        const detectBlur = async (content, filename) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename, contentType: 'image/jpeg' });
+            return api.post('/v1/detect/blur', formData, { headers: formData.getHeaders() });
+        };
+
+        const slow = await detectBlur(shotAt([1, 30], 200), 'tele_1-30.jpg');
+        const fast = await detectBlur(shotAt([1, 1000], 200), 'tele_1-1000.jpg');
+        const unknown = await detectBlur(pixels, 'no_exif.jpg');
+
+        const batchForm = new FormData();
+        batchForm.append('images', shotAt([1, 30], 200), { filename: 'tele_1-30.jpg', contentType: 'image/jpeg' });
+        const batch = await api.post('/v1/batch/process', batchForm, { headers: batchForm.getHeaders() });
+        const batchShake = batch.data.results && batch.data.results[0].camera_shake;
+
+        const shake = slow.data.camera_shake;
+        if (slow.status === 200 && !slow.data.is_blurry && shake.likely_motion_blur && shake.risk >= 0.5 &&
+            shake.safe_shutter_speed === '1/200' &&
+            fast.data.camera_shake.risk === 0 && !fast.data.camera_shake.likely_motion_blur &&
+            unknown.data.camera_shake.risk === null && !unknown.data.camera_shake.likely_motion_blur &&
+            batchShake && batchShake.likely_motion_blur) {
+            log('  ✅ Camera shake - 1/30s at 200mm flagged although it measures sharp, 1/1000s cleared', 'green');
+            log(`     Risk ${shake.risk}, ${shake.stops_over} stops slower than ${shake.safe_shutter_speed}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Camera shake (statuses ${slow.status}/${fast.status}/${unknown.status}/${batch.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Camera shake - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 40: Motion Blur vs Defocus
+    log('\n↔️  Testing Blur Classification', 'cyan');
+    try {
+        const noise = await sharp({
+            create: { width: 640, height: 480, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).png().toBuffer();
+        // Line kernels smearing 21 pixels along one axis (sharp needs both sides >= 3)
+        const smear = (horizontal) => sharp(noise)
+            .convolve({
+                width: horizontal ? 21 : 3,
+                height: horizontal ? 3 : 21,
+                kernel: Array.from({ length: 63 }, (_, i) => (horizontal ? Math.floor(i / 21) : i % 3) === 1 ? 1 : 0)
+            })
+            .png().toBuffer();
+        const classify = async (content, filename) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename, contentType: 'image/png' });
+            const response = await api.post('/v1/detect/blur', formData, { headers: formData.getHeaders() });
+            return response.data.classification || {};
+        };
+
+        const sharpClass = await classify(noise, 'sharp.png');
+        const defocused = await classify(await sharp(noise).blur(5).png().toBuffer(), 'defocused.png');
+        const horizontal = await classify(await smear(true), 'pan.png');
+        const vertical = await classify(await smear(false), 'drop.png');
+
+        if (sharpClass.type === 'sharp' && defocused.type === 'defocused' &&
+            horizontal.type === 'motion_blurred' && horizontal.motion_direction === 0 &&
+            vertical.type === 'motion_blurred' && vertical.motion_direction === 90 &&
+            [sharpClass, defocused, horizontal, vertical].every(result => result.confidence >= 0.5)) {
+            log('  ✅ Blur classification - Sharp, defocused and motion-blurred (with direction) told apart', 'green');
+            log(`     Motion coherence ${horizontal.coherence} vs ${defocused.coherence} when defocused`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Blur classification (${sharpClass.type}/${defocused.type}/${horizontal.type}/${vertical.type})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Blur classification - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 41: UltraFace Letterbox and Decoding
+    log('\n🙂 Testing Face Detection Post-processing', 'cyan');
+    try {
+        // Portrait 640x960 fits 320x240 at 1/4 scale, centred with 80 px on either side
+        const portrait = await sharp({
+            create: { width: 640, height: 960, channels: 3, background: { r: 200, g: 100, b: 50 } }
+        }).jpeg().toBuffer();
+        const { tensor, letterbox } = await ImageTasks.preprocessFaceDetection(portrait);
+        const letterboxed = tensor.length === 3 * 240 * 320 && tensor[0] === 0 &&
+            Math.abs(tensor[160] - (200 - 127) / 128) < 0.02 &&
+            letterbox.width === 640 && letterbox.height === 960 &&
+            letterbox.scaleX === 0.25 && letterbox.padX === 80 && letterbox.padY === 0;
+
+        // Reference export: softmax scores and corner boxes as fractions of the input
+        const count = FaceDetector.priors().length / 4;
+        const scores = new Float32Array(count * 2);
+        const boxes = new Float32Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            scores[i * 2] = 1;
+            boxes.set([0.1, 0.1, 0.2, 0.2], i * 4);
+        }
+        const candidate = (index, box, confidence) => {
+            scores.set([1 - confidence, confidence], index * 2);
+            boxes.set(box, index * 4);
+        };
+        candidate(10, [0.5, 0.25, 0.75, 0.5], 0.9);
+        candidate(11, [0.51, 0.26, 0.76, 0.5], 0.8); // Duplicate of the first
+        candidate(12, [0.3, 0.6, 0.45, 0.8], 0.7);
+        candidate(13, [0, 0, 0.2, 0.2], 0.95); // Only letterbox padding
+        const settings = { confidenceThreshold: 0.5, iouThreshold: 0.3 };
+        const corners = FaceDetector.detect(scores, boxes, letterbox, settings);
+
+        // Raw export: logits and SSD offsets from a prior at the centre (stride 8, 24 px)
+        const logits = new Float32Array(count * 2);
+        const offsets = new Float32Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            logits.set([5, -5], i * 2);
+            offsets.set([0.3, -0.2, 0.5, -0.4], i * 4);
+        }
+        const prior = (15 * 40 + 20) * 3 + 2;
+        logits.set([-2, 2], prior * 2);
+        offsets.set([1, 0, Math.log(2) / 0.2, 0], prior * 4); // Shifted right, twice as wide
+        const raw = FaceDetector.detect(logits, offsets, letterbox, settings);
+
+        // Faces as the bridge reports them keep a landmarks field, null with UltraFace
+        const faceSettings = { 'faces.confidenceThreshold': 0.5, 'faces.iouThreshold': 0.3 };
+        const inference = new ONNXInference(null, null, { get: key => faceSettings[key] });
+        const reported = inference.parseFaceDetections({ scores: { data: scores }, boxes: { data: boxes } }, letterbox);
+
+        if (letterboxed && count === 4420 &&
+            reported.length === 2 && reported.every(face => face.landmarks === null && face.quality) &&
+            JSON.stringify(corners.map(face => face.bbox)) === JSON.stringify([[320, 240, 640, 480], [64, 576, 256, 768]]) &&
+            raw.length === 1 && JSON.stringify(raw[0].bbox) === JSON.stringify([250, 448, 442, 544]) &&
+            raw[0].confidence > 0.98) {
+            log('  ✅ Face detection - Letterboxed input, decoded priors and suppressed duplicates in image pixels', 'green');
+            passed++;
+        } else {
+            log(`  ❌ Face detection post-processing (${JSON.stringify({ letterbox, corners, raw })})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Face detection post-processing - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 42: Model Failures Keep Their Error Code
+    log('\n🧩 Testing Model Failure Codes', 'cyan');
+    const mockDir = path.join(__dirname, '..', '..', 'models', 'mock');
+    const mockDirExisted = fs.existsSync(mockDir);
+    const brokenModel = path.join(mockDir, 'nima_technical.onnx');
+    let brokenBridge;
+    try {
+        // An installed model file that cannot be loaded
+        fs.mkdirSync(mockDir, { recursive: true });
+        fs.writeFileSync(brokenModel, 'not an onnx model');
+        brokenBridge = await startBridge(3101);
+
+        const post = (route, field, fields = {}) => {
+            const formData = new FormData();
+            formData.append(field, fs.createReadStream(testImage));
+            for (const [name, value] of Object.entries(fields)) {
+                formData.append(name, value);
+            }
+            return brokenBridge.client.post(route, formData, { headers: formData.getHeaders() });
+        };
+        const quality = await post('/v1/analyze', 'image', { analyzers: 'quality' });
+        const partial = await post('/v1/analyze', 'image', { analyzers: 'quality,contrast' });
+        const batch = await post('/v1/batch/process', 'images');
+        const item = (batch.data.results || [])[0] || {};
+        const partialError = (partial.data.errors || {}).quality || {};
+
+        if (quality.status === 503 && quality.data.code === 'MODEL_NOT_LOADED' && quality.data.retryable === false &&
+            partial.status === 200 && typeof partial.data.contrast === 'number' && partialError.code === 'MODEL_NOT_LOADED' &&
+            batch.status === 200 && item.success === false && item.code === 'MODEL_NOT_LOADED' && item.retryable === false) {
+            log('  ✅ Model failures - MODEL_NOT_LOADED reported by /analyze (503) and per batch photo', 'green');
+            log(`     ${quality.data.error}`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Model failures (${quality.status} ${quality.data.code}, ${JSON.stringify(partialError)}, ${item.code})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Model failures - ' + error.message, 'red');
+        failed++;
+    } finally {
+        if (brokenBridge) {
+            await brokenBridge.stop();
+        }
+        fs.rmSync(mockDirExisted ? brokenModel : mockDir, { recursive: true, force: true });
+    }
+
+    // Test 43: Graceful Shutdown Drains In-Flight Requests and Jobs
+    log('\n🛑 Testing Graceful Shutdown', 'cyan');
+    const shutdownDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pickit-test-shutdown-'));
+    const photo = path.join(shutdownDir, 'photo.jpg');
+    try {
+        await sharp({
+            create: { width: 2000, height: 1500, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toFile(photo);
+        const bigPhoto = await sharp({
+            create: { width: 4000, height: 3000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+        const checkpointFile = path.join(shutdownDir, 'drained-checkpoint.json');
+        const timeoutMs = 20000;
+        const bridge = await startBridge(3102, {
+            SHUTDOWN_TIMEOUT_MS: String(timeoutMs),
+            JOB_CHECKPOINT_FILE: checkpointFile,
+            ALLOWED_ROOTS: shutdownDir,
+            ENABLE_CACHE: 'false'
+        });
+
+        // Finished before the shutdown, so not checkpointed
+        const earlier = await bridge.client.post('/v1/jobs/by-path', { paths: [photo] });
+        await waitForJob(bridge.client, earlier.data.job_id, 'completed');
+
+        // The running job keeps the bridge draining while the requests below are answered
+        const created = await bridge.client.post('/v1/jobs/by-path', { paths: Array(20).fill(photo) });
+        const jobId = created.data.job_id;
+        await waitForJob(bridge.client, jobId);
+
+        // One keep-alive socket: the second request waits for it behind the analysis.
+        // A new connection would be refused outright once the listener is closed.
+        const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+        const formData = new FormData();
+        formData.append('image', bigPhoto, { filename: 'big.jpg', contentType: 'image/jpeg' });
+        const analysis = bridge.client.post('/v1/analyze', formData, { headers: formData.getHeaders(), httpAgent });
+        await delay(300);
+
+        const signalledAt = Date.now();
+        bridge.child.kill('SIGTERM');
+        const refused = await bridge.client.get('/v1/capabilities', { httpAgent });
+        const analysed = await analysis;
+        const exit = await bridge.stop(timeoutMs + 10000);
+        const elapsed = Date.now() - signalledAt;
+        httpAgent.destroy();
+
+        const checkpoint = fs.existsSync(checkpointFile) ? JSON.parse(fs.readFileSync(checkpointFile, 'utf8')) : { jobs: [] };
+        const job = checkpoint.jobs.find(saved => saved.id === jobId) || { results: [] };
+
+        if (analysed.status === 200 && analysed.data.blur &&
+            refused.status === 503 && refused.data.code === 'SHUTTING_DOWN' && refused.data.retryable === true &&
+            job.status === 'completed' && job.results.length === 20 &&
+            checkpoint.jobs.length === 1 &&
+            exit.code === 0 && elapsed < timeoutMs) {
+            log('  ✅ Graceful shutdown - In-flight analysis and job finished, new request got 503 SHUTTING_DOWN', 'green');
+            log('     Only the job running at SIGTERM was checkpointed', 'blue');
+            log(`     Exited ${elapsed} ms after SIGTERM (deadline ${timeoutMs} ms)`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Graceful shutdown (${analysed.status}, ${refused.status} ${refused.data.code}, job ${job.status}, ${checkpoint.jobs.length} checkpointed, exit ${exit.code} after ${elapsed} ms)`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Graceful shutdown - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 44: Shutdown Deadline Interrupts and Checkpoints Jobs
+    try {
+        const checkpointFile = path.join(shutdownDir, 'jobs-checkpoint.json');
+        const timeoutMs = 1000;
+        const env = {
+            SHUTDOWN_TIMEOUT_MS: String(timeoutMs),
+            JOB_CHECKPOINT_FILE: checkpointFile,
+            ALLOWED_ROOTS: shutdownDir,
+            ENABLE_CACHE: 'false'
+        };
+
+        // Far more photos than the deadline leaves time for
+        const bridge = await startBridge(3103, env);
+        const created = await bridge.client.post('/v1/jobs/by-path', { paths: Array(300).fill(photo) });
+        const jobId = created.data.job_id;
+        await waitForJob(bridge.client, jobId);
+
+        const signalledAt = Date.now();
+        bridge.child.kill('SIGTERM');
+        const exit = await bridge.stop(30000);
+        const elapsed = Date.now() - signalledAt;
+
+        const checkpoint = fs.existsSync(checkpointFile) ? JSON.parse(fs.readFileSync(checkpointFile, 'utf8')) : { jobs: [] };
+        const saved = checkpoint.jobs.find(job => job.id === jobId) || { results: [] };
+
+        // A restarted bridge serves the interrupted job from the checkpoint, then deletes it
+        const restarted = await startBridge(3103, env);
+        const restored = await restarted.client.get(`/v1/jobs/${jobId}`);
+        const checkpointRemoved = !fs.existsSync(checkpointFile);
+        await restarted.stop();
+
+        if (created.status === 202 && exit.code === 0 && elapsed >= timeoutMs && elapsed < timeoutMs + 5000 &&
+            saved.status === 'interrupted' && saved.results.length > 0 && saved.results.length < 300 &&
+            restored.status === 200 && restored.data.status === 'interrupted' &&
+            restored.data.progress.processed === saved.results.length && checkpointRemoved) {
+            log('  ✅ Shutdown deadline - Running job interrupted, checkpointed and restored after restart', 'green');
+            log(`     ${saved.results.length}/300 photos kept; exited ${elapsed} ms after SIGTERM`, 'blue');
+            passed++;
+        } else {
+            log(`  ❌ Shutdown deadline (exit ${exit.code} after ${elapsed} ms, saved ${saved.status}, restored ${restored.status} ${restored.data.status})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Shutdown deadline - ' + error.message, 'red');
+        failed++;
+    } finally {
+        fs.rmSync(shutdownDir, { recursive: true, force: true });
+    }
+
+    // Test 45: Cached Results While Busy
+    log('\n🗃️  Testing Cached Results While Busy', 'cyan');
+    try {
+        const noise = (width, height) => sharp({
+            create: { width, height, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer();
+        const [busyPhoto, cachedPhoto, uncachedPhoto] = await Promise.all([noise(4000, 3000), noise(400, 300), noise(400, 300)]);
+        const detectBlur = (client, content) => {
+            const formData = new FormData();
+            formData.append('image', content, { filename: 'photo.jpg', contentType: 'image/jpeg' });
+            return client.post('/v1/detect/blur', formData, { headers: formData.getHeaders() });
+        };
+
+        // One inference at a time and no queue: anything that needs scheduling is refused
+        const bridge = await startBridge(3104, { WORKER_POOL_SIZE: '1', MAX_CONCURRENT_INFERENCES: '1', MAX_QUEUED_REQUESTS: '0' });
+        try {
+            const first = await detectBlur(bridge.client, cachedPhoto);
+
+            const formData = new FormData();
+            formData.append('image', busyPhoto, { filename: 'large.jpg', contentType: 'image/jpeg' });
+            const busy = bridge.client.post('/v1/analyze', formData, { headers: formData.getHeaders() });
+            await delay(500);
+
+            const cached = await detectBlur(bridge.client, cachedPhoto);
+            const uncached = await detectBlur(bridge.client, uncachedPhoto);
+            await busy;
+
+            if (first.status === 200 && cached.status === 200 && cached.data.blur_score === first.data.blur_score &&
+                uncached.status === 429 && uncached.data.code === 'BRIDGE_BUSY') {
+                log('  ✅ Busy bridge - Cached result served, new work refused with 429 BRIDGE_BUSY', 'green');
+                passed++;
+            } else {
+                log(`  ❌ Busy bridge (first ${first.status}, cached ${cached.status}, uncached ${uncached.status} ${uncached.data.code})`, 'red');
+                failed++;
+            }
+        } finally {
+            await bridge.stop();
+        }
+    } catch (error) {
+        log('  ❌ Busy bridge - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 46: Request IDs Survive the Inference Queue
+    log('\n🏷️  Testing Request IDs Under Load', 'cyan');
+    try {
+        const photos = await Promise.all([600, 700, 800].map(width => sharp({
+            create: { width, height: 400, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+        }).jpeg().toBuffer()));
+        const requestIds = ['queue-test-AAA', 'queue-test-BBB', 'queue-test-CCC'];
+
+        // One inference at a time, so the second and third requests wait in the queue
+        const bridge = await startBridge(3105, { MAX_CONCURRENT_INFERENCES: '1', LOG_LEVEL: 'debug', ENABLE_CACHE: 'false' });
+        let responses;
+        try {
+            responses = await Promise.all(photos.map((photo, i) => {
+                const formData = new FormData();
+                formData.append('image', photo, { filename: `photo-${i}.jpg`, contentType: 'image/jpeg' });
+                formData.append('analyzers', 'exposure');
+                return bridge.client.post('/v1/analyze', formData, {
+                    headers: { ...formData.getHeaders(), [RequestContext.REQUEST_ID_HEADER]: requestIds[i] }
+                });
+            }));
+        } finally {
+            await bridge.stop();
+        }
+
+        // Each decode is logged under the request whose photo it decoded
+        const decodes = bridge.logs()
+            .map(line => line.match(/^debug: Decoded (\d+)x\d+ image (\{.*\})$/))
+            .filter(Boolean)
+            .map(([, width, fields]) => ({ width: Number(width), requestId: JSON.parse(fields).requestId }));
+        const matched = [600, 700, 800].every((width, i) =>
+            decodes.filter(decode => decode.width === width).map(decode => decode.requestId).join() === requestIds[i]);
+
+        if (responses.every(response => response.status === 200) && decodes.length === 3 && matched) {
+            log('  ✅ Queued request IDs - Queued work logs under its own request ID', 'green');
+            passed++;
+        } else {
+            log(`  ❌ Queued request IDs (${JSON.stringify(decodes)})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Queued request IDs - ' + error.message, 'red');
+        failed++;
+    }
+
+    // Test 47: Feedback Failures Keep Emails Out of the Logs
+    log('\n📧 Testing Feedback Error Logging', 'cyan');
+    try {
+        const entries = [];
+        const captureLogger = {};
+        for (const level of ['error', 'warn', 'info', 'debug']) {
+            captureLogger[level] = (...args) => entries.push(args);
+        }
+        const email = 'photographer@example.com';
+
+        // Google API errors carry the request they failed, row values included
+        const apiError = Object.assign(new Error('The caller does not have permission'), {
+            code: 403,
+            config: { data: { values: [['FB1', email]] } }
+        });
+        const service = new FeedbackService(captureLogger);
+        service.initialized = true;
+        service.sheets = { spreadsheets: { values: { append: async () => { throw apiError; } } } };
+
+        const rejected = await service.submitFeedback({ submissionId: 'FB1', userEmail: email })
+            .then(() => false, error => error === apiError);
+        const logged = JSON.stringify(entries);
+
+        if (rejected && entries.length === 1 && !logged.includes(email) &&
+            logged.includes(apiError.message) && entries[0][1].code === 403) {
+            log('  ✅ Feedback errors - Logged by message and code, without the submitted email', 'green');
+            passed++;
+        } else {
+            log(`  ❌ Feedback errors (${logged})`, 'red');
+            failed++;
+        }
+    } catch (error) {
+        log('  ❌ Feedback errors - ' + error.message, 'red');
+        failed++;
+    }
+
     // Don't delete sample images as they're reusable
     
     // Summary
@@ -289,7 +1756,8 @@ async function runTests() {
 // Check server is running
 async function checkServer() {
     try {
-        await api.get('/health');
+        await api.get('/health/live');
+        useBridgeToken();
         return true;
     } catch (error) {
         log('\n❌ Error: Server is not running on port 3000', 'red');
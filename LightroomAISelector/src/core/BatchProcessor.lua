@@ -370,7 +370,8 @@ function BatchProcessor:_validatePhoto(photo)
     
     local fileFormat = photo:getRawMetadata('fileFormat')
     local supportedFormats = {
-        "JPG", "JPEG", "PNG", "TIFF", "DNG", "RAF", "NEF", "CR2", "CR3", "ARW"
+        "JPG", "JPEG", "PNG", "TIFF", "DNG", "RAF", "NEF", "CR2", "CR3", "ARW",
+        "HEIC", "HEIF", "AVIF", "WEBP"
     }
     
     local isSupported = false
@@ -20,11 +20,11 @@ PhotoScorer.VERSION = "1.0.0"
 local _config = nil
 local _cache = {}
 local _bridgeClient = nil
+local _aiReady = true
 
 -- Constants
 local DEFAULT_THRESHOLD = 0.7
 local MAX_CACHE_SIZE = 100
-local BLUR_THRESHOLD = 100
 
 -- Initialize module
 function PhotoScorer:initialize(config)
@@ -34,6 +34,20 @@ function PhotoScorer:initialize(config)
     -- Initialize bridge client for ONNX inference
     _bridgeClient = require('src/models/ONNXBridge'):new(_config)
     
+    -- Warn once, rather than rating every photo 0, when the bridge's models are not loaded
+    _aiReady = true
+    if _config.useLocalModels then
+        local ready, reason = _bridgeClient:checkReadiness()
+        if ready == false then
+            _aiReady = false
+            ErrorHandler.handleError(
+                ErrorHandler.ErrorCodes.MODEL_LOAD_FAILED,
+                reason,
+                {component = "PhotoScorer"}
+            )
+        end
+    end
+    
     return self
 end
 
@@ -71,8 +85,8 @@ function PhotoScorer:scorePhoto(photo, options)
     -- 1. Technical quality checks (fast, local)
     scores.technical = self:_assessTechnicalQuality(photo, photoPath)
     
-    -- 2. AI quality assessment (if enabled)
-    if _config.useLocalModels then
+    -- 2. AI quality assessment (if enabled and the bridge's models are loaded)
+    if _config.useLocalModels and _aiReady then
         scores.ai = self:_assessAIQuality(photoPath)
     end
     
@@ -141,7 +155,14 @@ function PhotoScorer:_assessTechnicalQuality(photo, photoPath)
     -- Blur detection (using Node.js bridge)
     local blurResult = _bridgeClient:detectBlur(photoPath)
     if blurResult then
-        technical.blur = blurResult.blur_score > BLUR_THRESHOLD and 1 or 0
+        -- The bridge judges the sharpest region, so a sharp subject with bokeh passes;
+        -- motion blur, or a shutter too slow for the focal length, fails even when
+        -- the frame measures sharp
+        local shake = blurResult.camera_shake
+        local likelyShake = shake and shake.likely_motion_blur
+        local classification = blurResult.classification
+        local motionBlurred = classification and classification.type == "motion_blurred"
+        technical.blur = (blurResult.is_blurry or likelyShake or motionBlurred) and 0 or 1
     end
     
     -- Exposure analysis (using histogram from Lightroom)
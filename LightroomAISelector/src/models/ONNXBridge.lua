@@ -26,6 +26,9 @@ local _serverUrl = nil
 local _timeout = 30
 local _isConnected = false
 
+-- API version this plugin prefers; older bridges only serve unversioned routes
+local PREFERRED_API_VERSION = "v1"
+
 -- Create new bridge instance
 function ONNXBridge:new(config)
     local bridge = {}
@@ -33,11 +36,15 @@ function ONNXBridge:new(config)
     
     -- Initialize configuration
     config = config or Config.load()
-    bridge._serverUrl = config.bridgeServerUrl or "http://localhost:3000"
+    bridge._serverUrl = config.bridgeServerUrl or "http://127.0.0.1:3000"
     bridge._timeout = config.bridgeTimeout or 30
+    bridge._apiPrefix = ""
+    bridge._authToken = bridge:_loadAuthToken(config.bridgeTokenFile)
     
     -- Check server health on initialization
-    bridge:checkHealth()
+    if bridge:checkHealth() then
+        bridge:negotiateApiVersion()
+    end
     
     return bridge
 end
@@ -46,18 +53,19 @@ end
 function ONNXBridge:checkHealth()
     local url = self._serverUrl .. "/health"
     
-    local result, headers = LrHttp.get(url, nil, self._timeout)
+    local result, headers = LrHttp.get(url, self:_withAuth({}), self._timeout)
     
     if result then
         local success, health = pcall(function()
             return self:_parseJSON(result)
         end)
         
-        if success and health.status == "healthy" then
+        -- "degraded" means the bridge is up but its models are not loaded
+        if success and (health.status == "healthy" or health.status == "degraded") then
             self._isConnected = true
             logger:info("ONNX Bridge connected", {
                 version = health.version,
-                models = health.models
+                status = health.status
             })
             return true
         end
@@ -68,6 +76,45 @@ function ONNXBridge:checkHealth()
     return false
 end
 
+-- Ask the bridge whether its scores are meaningful (all required models loaded).
+-- Returns true/false plus the bridge's explanation, or nil when it cannot tell.
+function ONNXBridge:checkReadiness()
+    local result = LrHttp.get(self._serverUrl .. "/health/ready", self:_withAuth({}), self._timeout)
+    if not result then
+        return nil, "Bridge not reachable"
+    end
+    
+    local success, readiness = pcall(function()
+        return self:_parseJSON(result)
+    end)
+    
+    -- Bridges without /health/ready cannot report model status
+    if not success or readiness.ready == nil then
+        return nil
+    end
+    
+    if readiness.ready ~= true then
+        logger:warn("ONNX Bridge not ready", { message = readiness.message })
+    end
+    
+    return readiness.ready == true, readiness.message
+end
+
+-- Ask the bridge which API versions it supports and pick the route prefix
+function ONNXBridge:negotiateApiVersion()
+    local result = LrHttp.get(self._serverUrl .. "/capabilities", self:_withAuth({}), self._timeout)
+    
+    -- Bridges without /capabilities predate versioned routes
+    if result and result:find('"' .. PREFERRED_API_VERSION .. '"', 1, true) then
+        self._apiPrefix = "/" .. PREFERRED_API_VERSION
+    else
+        self._apiPrefix = ""
+    end
+    
+    logger:info("Bridge API prefix: " .. (self._apiPrefix ~= "" and self._apiPrefix or "(unversioned)"))
+    return self._apiPrefix
+end
+
 -- Assess image quality using NIMA models
 function ONNXBridge:assessQuality(photoPath)
     if not self._isConnected then
@@ -77,7 +124,7 @@ function ONNXBridge:assessQuality(photoPath)
         end
     end
     
-    local url = self._serverUrl .. "/assess/quality"
+    local url = self:_apiUrl("/assess/quality")
     
     -- Read image file
     local imageData = self:_readImageFile(photoPath)
@@ -95,7 +142,7 @@ function ONNXBridge:assessQuality(photoPath)
     }
     
     -- Make HTTP request
-    local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout)
+    local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout)
     
     if result then
         local success, scores = pcall(function()
@@ -103,6 +150,9 @@ function ONNXBridge:assessQuality(photoPath)
         end)
         
         if success then
+            if self:_checkBridgeError(scores, "assessQuality") then
+                return nil
+            end
             logger:debug("Quality assessment complete", scores)
             return scores
         else
@@ -110,6 +160,7 @@ function ONNXBridge:assessQuality(photoPath)
         end
     else
         logger:error("Quality assessment request failed")
+        self:_recordTransportError(respHeaders, "assessQuality")
     end
     
     return nil
@@ -123,7 +174,7 @@ function ONNXBridge:detectFaces(photoPath)
         end
     end
     
-    local url = self._serverUrl .. "/detect/faces"
+    local url = self:_apiUrl("/detect/faces")
     
     -- Read image file
     local imageData = self:_readImageFile(photoPath)
@@ -141,7 +192,7 @@ function ONNXBridge:detectFaces(photoPath)
     }
     
     -- Make HTTP request
-    local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout)
+    local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout)
     
     if result then
         local success, faces = pcall(function()
@@ -149,9 +200,14 @@ function ONNXBridge:detectFaces(photoPath)
         end)
         
         if success then
+            if self:_checkBridgeError(faces, "detectFaces") then
+                return nil
+            end
             logger:debug("Face detection complete", {count = faces.face_count})
             return faces
         end
+    else
+        self:_recordTransportError(respHeaders, "detectFaces")
     end
     
     return nil
@@ -165,7 +221,7 @@ function ONNXBridge:detectBlur(photoPath)
         end
     end
     
-    local url = self._serverUrl .. "/detect/blur"
+    local url = self:_apiUrl("/detect/blur")
     
     -- Read image file
     local imageData = self:_readImageFile(photoPath)
@@ -183,7 +239,7 @@ function ONNXBridge:detectBlur(photoPath)
     }
     
     -- Make HTTP request
-    local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout)
+    local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout)
     
     if result then
         local success, blur = pcall(function()
@@ -191,9 +247,14 @@ function ONNXBridge:detectBlur(photoPath)
         end)
         
         if success then
+            if self:_checkBridgeError(blur, "detectBlur") then
+                return nil
+            end
             logger:debug("Blur detection complete", blur)
             return blur
         end
+    else
+        self:_recordTransportError(respHeaders, "detectBlur")
     end
     
     return nil
@@ -207,7 +268,7 @@ function ONNXBridge:compareSimilarity(photoPath1, photoPath2)
         end
     end
     
-    local url = self._serverUrl .. "/compare/similarity"
+    local url = self:_apiUrl("/compare/similarity")
     
     -- Read both image files
     local imageData1 = self:_readImageFile(photoPath1)
@@ -230,7 +291,7 @@ function ONNXBridge:compareSimilarity(photoPath1, photoPath2)
     }
     
     -- Make HTTP request
-    local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout * 2)
+    local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout * 2)
     
     if result then
         local success, similarity = pcall(function()
@@ -238,9 +299,14 @@ function ONNXBridge:compareSimilarity(photoPath1, photoPath2)
         end)
         
         if success then
+            if self:_checkBridgeError(similarity, "compareSimilarity") then
+                return nil
+            end
             logger:debug("Similarity comparison complete", similarity)
             return similarity
         end
+    else
+        self:_recordTransportError(respHeaders, "compareSimilarity")
     end
     
     return nil
@@ -254,7 +320,7 @@ function ONNXBridge:batchProcess(photoPaths, progressCallback)
         end
     end
     
-    local url = self._serverUrl .. "/batch/process"
+    local url = self:_apiUrl("/batch/process")
     local results = {}
     
     -- Process in chunks to avoid memory issues
@@ -286,7 +352,7 @@ function ONNXBridge:batchProcess(photoPaths, progressCallback)
                 { field = "Content-Length", value = tostring(#body) }
             }
             
-            local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout * #chunk)
+            local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout * #chunk)
             
             if result then
                 local success, batchResults = pcall(function()
@@ -297,7 +363,11 @@ function ONNXBridge:batchProcess(photoPaths, progressCallback)
                     for _, r in ipairs(batchResults.results) do
                         table.insert(results, r)
                     end
+                elseif success then
+                    self:_checkBridgeError(batchResults, "batchProcess")
                 end
+            else
+                self:_recordTransportError(respHeaders, "batchProcess")
             end
         end
         
@@ -318,7 +388,7 @@ function ONNXBridge:loadModel(modelName)
         end
     end
     
-    local url = self._serverUrl .. "/models/load"
+    local url = self:_apiUrl("/models/load")
     
     local body = self:_toJSON({ modelName = modelName })
     
@@ -327,7 +397,7 @@ function ONNXBridge:loadModel(modelName)
         { field = "Content-Length", value = tostring(#body) }
     }
     
-    local result, respHeaders = LrHttp.post(url, body, headers, "POST", self._timeout)
+    local result, respHeaders = LrHttp.post(url, body, self:_withAuth(headers), "POST", self._timeout)
     
     if result then
         local success, response = pcall(function()
@@ -337,7 +407,11 @@ function ONNXBridge:loadModel(modelName)
         if success and response.success then
             logger:info("Model loaded: " .. modelName)
             return true
+        elseif success then
+            self:_checkBridgeError(response, "loadModel")
         end
+    else
+        self:_recordTransportError(respHeaders, "loadModel")
     end
     
     logger:error("Failed to load model: " .. modelName)
@@ -352,9 +426,9 @@ function ONNXBridge:getAvailableModels()
         end
     end
     
-    local url = self._serverUrl .. "/models"
+    local url = self:_apiUrl("/models")
     
-    local result, headers = LrHttp.get(url, nil, self._timeout)
+    local result, headers = LrHttp.get(url, self:_withAuth({}), self._timeout)
     
     if result then
         local success, response = pcall(function()
@@ -369,8 +443,56 @@ function ONNXBridge:getAvailableModels()
     return {}
 end
 
+-- Error info for the last failed request (code, hint, retryable), or nil
+function ONNXBridge:getLastError()
+    return self._lastError
+end
+
 -- Private helper functions
 
+function ONNXBridge:_apiUrl(path)
+    return self._serverUrl .. (self._apiPrefix or "") .. path
+end
+
+-- Read the per-install token the bridge writes on first start
+function ONNXBridge:_loadAuthToken(tokenFile)
+    tokenFile = tokenFile or LrPathUtils.child(
+        LrPathUtils.child(LrPathUtils.getStandardFilePath('home'), '.pickit'),
+        'bridge-token'
+    )
+    
+    if not LrFileUtils.exists(tokenFile) then
+        logger:warn("Bridge token file not found: " .. tokenFile)
+        return nil
+    end
+    
+    local token = LrFileUtils.readFile(tokenFile)
+    return token and token:gsub("%s+", "") or nil
+end
+
+-- Record a structured bridge error ({ error, code, retryable, hint }) if the response is one
+function ONNXBridge:_checkBridgeError(response, operation)
+    if type(response) ~= "table" or not response.code or not response.error then
+        return nil
+    end
+    
+    self._lastError = ErrorHandler.fromBridgeError(response, { operation = operation })
+    return self._lastError
+end
+
+function ONNXBridge:_recordTransportError(respHeaders, operation)
+    self._lastError = ErrorHandler.fromTransportError(respHeaders, { operation = operation })
+    return self._lastError
+end
+
+-- Add the bridge token header to a request header list
+function ONNXBridge:_withAuth(headers)
+    if self._authToken then
+        table.insert(headers, { field = "X-Pickit-Token", value = self._authToken })
+    end
+    return headers
+end
+
 function ONNXBridge:_readImageFile(photoPath)
     -- Check if file exists
     if not LrFileUtils.exists(photoPath) then
@@ -41,7 +41,7 @@ function Settings.showDialog()
         -- AI settings
         props.useLocalModels = Config.get("useLocalModels")
         props.modelTimeout = Config.get("modelTimeout")
-        props.bridgeServerUrl = Config.get("bridgeServerUrl") or "http://localhost:3000"
+        props.bridgeServerUrl = Config.get("bridgeServerUrl") or "http://127.0.0.1:3000"
         
         -- Performance settings
         props.cacheEnabled = Config.get("cacheEnabled")
@@ -457,7 +457,8 @@ function Settings.testBridgeConnection(props)
         local bridge = ONNXBridge:new({ bridgeServerUrl = props.bridgeServerUrl })
         
         if bridge:checkHealth() then
-            props.serverStatus = "已連接"
+            local ready = bridge:checkReadiness()
+            props.serverStatus = ready == false and "已連接（AI模型未載入）" or "已連接"
             
             -- Get available models
             local models = bridge:getAvailableModels()
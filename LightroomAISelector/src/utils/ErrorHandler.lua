@@ -38,6 +38,8 @@ local ErrorCodes = {
     INVALID_PHOTO_FORMAT = 4001,
     BATCH_SIZE_EXCEEDED = 4002,
     NO_PHOTOS_SELECTED = 4003,
+    CORRUPT_PHOTO = 4004,
+    PHOTO_TOO_LARGE = 4005,
 }
 
 ErrorHandler.ErrorCodes = ErrorCodes
@@ -63,8 +65,42 @@ local ErrorMessages = {
     [ErrorCodes.INVALID_PHOTO_FORMAT] = "不支援的照片格式",
     [ErrorCodes.BATCH_SIZE_EXCEEDED] = "批次大小超過限制",
     [ErrorCodes.NO_PHOTOS_SELECTED] = "請先選擇照片",
+    [ErrorCodes.CORRUPT_PHOTO] = "照片檔案損壞，無法讀取",
+    [ErrorCodes.PHOTO_TOO_LARGE] = "照片太大，無法處理",
 }
 
+-- Bridge error codes (node-bridge/src/errors.js) mapped onto plugin error codes
+local BridgeErrorCodes = {
+    VALIDATION_FAILED = ErrorCodes.INVALID_INPUT,
+    NO_IMAGE = ErrorCodes.INVALID_INPUT,
+    INVALID_ANALYZER = ErrorCodes.INVALID_INPUT,
+    INVALID_PATH = ErrorCodes.INVALID_INPUT,
+    NOT_FOUND = ErrorCodes.INVALID_INPUT,
+    JOB_NOT_FOUND = ErrorCodes.INVALID_INPUT,
+    TOO_MANY_FILES = ErrorCodes.BATCH_SIZE_EXCEEDED,
+    UNAUTHORIZED = ErrorCodes.API_AUTH_FAILED,
+    PAYLOAD_TOO_LARGE = ErrorCodes.PHOTO_TOO_LARGE,
+    IMAGE_TOO_LARGE = ErrorCodes.PHOTO_TOO_LARGE,
+    UNSUPPORTED_FORMAT = ErrorCodes.INVALID_PHOTO_FORMAT,
+    UNSUPPORTED_RAW_VARIANT = ErrorCodes.INVALID_PHOTO_FORMAT,
+    IMAGE_DECODE_FAILED = ErrorCodes.CORRUPT_PHOTO,
+    PATH_ACCESS_DISABLED = ErrorCodes.PERMISSION_DENIED,
+    PATH_FORBIDDEN = ErrorCodes.PERMISSION_DENIED,
+    FILE_NOT_FOUND = ErrorCodes.FILE_NOT_FOUND,
+    MODEL_UNKNOWN = ErrorCodes.MODEL_NOT_FOUND,
+    MODEL_NOT_FOUND = ErrorCodes.MODEL_NOT_FOUND,
+    MODEL_NOT_LOADED = ErrorCodes.MODEL_LOAD_FAILED,
+    MODEL_LOAD_FAILED = ErrorCodes.MODEL_LOAD_FAILED,
+    INFERENCE_FAILED = ErrorCodes.MODEL_INFERENCE_ERROR,
+    BRIDGE_BUSY = ErrorCodes.API_RATE_LIMIT,
+    FEEDBACK_UNAVAILABLE = ErrorCodes.API_CONNECTION_FAILED,
+    SHUTTING_DOWN = ErrorCodes.API_CONNECTION_FAILED,
+    CONFIG_INVALID = ErrorCodes.SYSTEM_ERROR,
+    INTERNAL_ERROR = ErrorCodes.SYSTEM_ERROR,
+}
+
+ErrorHandler.BridgeErrorCodes = BridgeErrorCodes
+
 -- Private variables
 local _errorHistory = {}
 local _recoveryStrategies = {}
@@ -111,6 +147,56 @@ function ErrorHandler.handleError(errorCode, details, context)
     return errorInfo, recovered
 end
 
+-- Convert a structured bridge error body ({ error, code, retryable, hint })
+-- into error info. Recorded in the history but not shown to the user, so
+-- per-photo failures in a batch don't each open a dialog.
+function ErrorHandler.fromBridgeError(response, context)
+    local errorCode = BridgeErrorCodes[response.code] or ErrorCodes.SYSTEM_ERROR
+    local errorInfo = {
+        code = errorCode,
+        bridgeCode = response.code,
+        message = ErrorHandler.getErrorMessage(errorCode),
+        details = response.error,
+        hint = response.hint,
+        retryable = response.retryable == true,
+        retryAfter = response.retry_after,
+        requestId = response.request_id,
+        context = context,
+        timestamp = os.time()
+    }
+    
+    logger:warn(string.format("Bridge error %s (%d): %s", tostring(response.code), errorCode, tostring(response.error)), {
+        requestId = errorInfo.requestId,
+        retryable = errorInfo.retryable,
+        context = context
+    })
+    
+    table.insert(_errorHistory, errorInfo)
+    return errorInfo
+end
+
+-- Convert an LrHttp transport failure (no response body) into error info
+function ErrorHandler.fromTransportError(responseHeaders, context)
+    local transportError = responseHeaders and responseHeaders.error
+    local timedOut = transportError and transportError.errorCode == "timedOut"
+    local errorCode = timedOut and ErrorCodes.API_TIMEOUT or ErrorCodes.API_CONNECTION_FAILED
+    local errorInfo = {
+        code = errorCode,
+        message = ErrorHandler.getErrorMessage(errorCode),
+        details = transportError and transportError.name,
+        retryable = true,
+        context = context,
+        timestamp = os.time()
+    }
+    
+    logger:warn(string.format("Bridge request failed (%d): %s", errorCode, tostring(errorInfo.details)), {
+        context = context
+    })
+    
+    table.insert(_errorHistory, errorInfo)
+    return errorInfo
+end
+
 -- Recovery strategies
 function ErrorHandler.attemptRecovery(errorCode, errorInfo)
     -- Check for registered recovery strategy
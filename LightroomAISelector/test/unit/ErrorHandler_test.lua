@@ -257,4 +257,36 @@ ErrorHandlerTest.tests.test_error_severity = function()
     ErrorHandlerTest.teardown()
 end
 
+-- Test 11: Bridge error mapping
+ErrorHandlerTest.tests.test_bridge_error_mapping = function()
+    ErrorHandlerTest.setup()
+    
+    local corrupt = ErrorHandler.fromBridgeError({
+        error = "Input buffer has corrupt header",
+        code = "IMAGE_DECODE_FAILED",
+        retryable = false,
+        hint = "Re-export it from Lightroom."
+    })
+    assert(corrupt.code == ErrorHandler.ErrorCodes.CORRUPT_PHOTO, "Decode failures should map to CORRUPT_PHOTO")
+    assert(corrupt.hint == "Re-export it from Lightroom.", "Hint should be preserved")
+    assert(corrupt.retryable == false, "Retryable flag should be preserved")
+    
+    local missingModel = ErrorHandler.fromBridgeError({ error = "Model file not found", code = "MODEL_NOT_FOUND" })
+    assert(missingModel.code == ErrorHandler.ErrorCodes.MODEL_NOT_FOUND, "Missing models should map to MODEL_NOT_FOUND")
+    
+    local busy = ErrorHandler.fromBridgeError({ error = "Bridge is busy", code = "BRIDGE_BUSY", retryable = true, retry_after = 3 })
+    assert(busy.code == ErrorHandler.ErrorCodes.API_RATE_LIMIT, "Busy bridge should map to API_RATE_LIMIT")
+    assert(busy.retryable == true and busy.retryAfter == 3, "Retry information should be preserved")
+    
+    local unknown = ErrorHandler.fromBridgeError({ error = "?", code = "SOMETHING_NEW" })
+    assert(unknown.code == ErrorHandler.ErrorCodes.SYSTEM_ERROR, "Unknown codes should fall back to SYSTEM_ERROR")
+    
+    local timeout = ErrorHandler.fromTransportError({ error = { errorCode = "timedOut", name = "The request timed out." } })
+    assert(timeout.code == ErrorHandler.ErrorCodes.API_TIMEOUT, "Timeouts should map to API_TIMEOUT")
+    
+    assert(#ErrorHandler.getErrorHistory() == 5, "Bridge errors should be recorded in history")
+    
+    ErrorHandlerTest.teardown()
+end
+
 return ErrorHandlerTest
\ No newline at end of file